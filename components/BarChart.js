@@ -1,73 +1,355 @@
-import React, { memo } from 'react';
-import { Bar } from 'react-chartjs-2';
-import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend } from 'chart.js';
+import React, { memo, useState } from 'react';
+import * as d3 from 'd3';
+import { Bar, Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  LineElement,
+  PointElement,
+  Title,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import annotationPlugin from 'chartjs-plugin-annotation';
+import { getMonthlyValues } from '../lib/months';
+import { useI18n } from '../lib/i18n';
+import { monthlyMeans } from '../lib/stats';
+import { continentColor, getPalette, seriesColor, withOpacity } from '../lib/palettes';
 
 // Register Chart.js components
-ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
+ChartJS.register(CategoryScale, LinearScale, BarElement, LineElement, PointElement, Title, Tooltip, Legend, annotationPlugin);
 
-const BarChart = ({ data, selectedBasin }) => {
-  if (!selectedBasin) {
+// Chart modes, labeled by the `barChart.mode.*` messages; 'lines' is only offered when
+// there are several basins or years to overlay
+const MODES = ['bars', 'lines', 'context', 'cumulative', 'anomaly'];
+
+// Running total of the monthly values
+const cumulative = (values) => Array.from(d3.cumsum(values.map((v) => v ?? 0)));
+
+// Horizontal threshold lines for chartjs-plugin-annotation
+const thresholdAnnotations = (thresholds) =>
+  Object.fromEntries(
+    thresholds
+      .filter(({ value }) => value !== null && value !== undefined)
+      .map(({ label, value, color }, i) => [
+        `threshold${i}`,
+        {
+          type: 'line',
+          yMin: value,
+          yMax: value,
+          borderColor: color,
+          borderWidth: 1.5,
+          borderDash: [6, 4],
+          label: {
+            display: true,
+            content: label,
+            position: 'end',
+            backgroundColor: withOpacity(color, 0.8),
+            font: { size: 11 },
+          },
+        },
+      ])
+  );
+
+const cellStyle = { padding: '2px 6px', borderBottom: '1px solid #eee', textAlign: 'right' };
+
+// The chart's values as a table, the text alternative to the canvas
+const ChartDataTable = ({ title, data }) => {
+  const { t, formatNumber } = useI18n();
+  return (
+    <details style={{ padding: '0 5px 5px', fontSize: '13px' }}>
+      <summary>{t('a11y.showTable')}</summary>
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ borderCollapse: 'collapse' }}>
+          <caption style={{ textAlign: 'left', fontWeight: 'bold' }}>{title}</caption>
+          <thead>
+            <tr>
+              <th scope="col" style={{ ...cellStyle, textAlign: 'left' }}>
+                {t('a11y.month')}
+              </th>
+              {data.datasets.map((dataset) => (
+                <th key={dataset.label} scope="col" style={cellStyle}>
+                  {dataset.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {data.labels.map((label, i) => (
+              <tr key={label}>
+                <th scope="row" style={{ ...cellStyle, textAlign: 'left', fontWeight: 'normal' }}>
+                  {label}
+                </th>
+                {data.datasets.map((dataset) => (
+                  <td key={dataset.label} style={cellStyle}>
+                    {dataset.data[i] === null || dataset.data[i] === undefined ? '–' : formatNumber(dataset.data[i])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
+};
+
+// `baseline` holds the baseline features while a scenario is shown in `data`; each basin's
+// scenario series is then paired with its baseline series. `colorScale` is the map's scale
+// for monthly values, used to color a single basin's bars, and `thresholds` ([{ label,
+// value, color }]) are drawn as horizontal lines. `regions` are aggregated region features
+// (see lib/regions) that can be pinned like basins; the global and continent means
+// leave them out.
+const BarChart = ({
+  data,
+  selectedBasin,
+  pinnedBasins = [],
+  years = [],
+  selectedYear = null,
+  palette: paletteId,
+  baseline = null,
+  scenarioName: scenarioNameProp = null,
+  colorScale = null,
+  thresholds = [],
+  regions = [],
+}) => {
+  const palette = getPalette(paletteId);
+  // See MODES; 'bars' are grouped when comparing, 'lines' overlays one line per year or per basin
+  const [mode, setMode] = useState('bars');
+  const { locale, t, formatUnit, monthLabels } = useI18n();
+  const scenarioName = scenarioNameProp ?? t('barChart.scenario');
+
+  // Pinned basins plus the hovered one as a temporary preview
+  const shownBasins = selectedBasin && !pinnedBasins.includes(selectedBasin) ? [...pinnedBasins, selectedBasin] : pinnedBasins;
+
+  if (shownBasins.length === 0) {
     return (
       <div style={{ height: '300px', display: 'flex', justifyContent: 'center', alignItems: 'center' }}>
-        <div>Select a basin on the map to see the chart</div>
+        <div>{t('barChart.empty')}</div>
       </div>
     );
   }
 
-  const basinData = data.find((item) => item.properties.RIVERBASIN === selectedBasin) || data.find((item) => item.properties.RIVERBASIN === 'AMUR');
+  const basinFeatures = shownBasins
+    .map((basin) => [...data, ...regions].find((item) => item.properties.RIVERBASIN === basin))
+    .filter(Boolean);
 
-  if (!basinData) {
+  if (basinFeatures.length === 0) {
     return (
       <div style={{ height: '400px', display: 'flex', justifyContent: 'center', alignItems: 'center' }}>
-        <div>No data available for this basin</div>
+        <div>{t('barChart.noData')}</div>
       </div>
     );
   }
 
+  const isComparison = basinFeatures.length > 1;
+  const basinNames = basinFeatures.map((f) => f.properties.RIVERBASIN).join(', ');
+  const basinData = basinFeatures[0];
+  const yearSuffix = selectedYear ? ` (${selectedYear})` : '';
+
   // Extract monthly data for the selected basin and handle missing data
-  const monthlyData = [
-    basinData.properties.jan || 0,
-    basinData.properties.feb || 0,
-    basinData.properties.mar || 0,
-    basinData.properties.apr || 0,
-    basinData.properties.may || 0,
-    basinData.properties.jun || 0,
-    basinData.properties.jul || 0,
-    basinData.properties.aug || 0,
-    basinData.properties.sep || 0,
-    basinData.properties.oct || 0,
-    basinData.properties.nov || 0,
-    basinData.properties.dec || 0,
-  ];
-
-  const chartData = {
-    labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+  const monthlyData = getMonthlyValues(basinData.properties, selectedYear);
+  const canOverlay = isComparison || years.length > 1;
+  const modes = MODES.filter((id) => id !== 'lines' || canOverlay);
+  const activeMode = modes.includes(mode) ? mode : 'bars';
+  const showYears = activeMode === 'lines' && !isComparison;
+  const showLines = activeMode === 'lines';
+
+  const yearlyChartData = {
+    labels: monthLabels,
+    datasets: years.map((year, i) => ({
+      label: String(year),
+      data: getMonthlyValues(basinData.properties, year),
+      borderColor: seriesColor(palette, i),
+      backgroundColor: seriesColor(palette, i),
+      borderWidth: year === selectedYear ? 3 : 1.5, // Emphasize the year shown on the map
+      pointRadius: 2,
+    })),
+  };
+
+  // Baseline values of a basin in a lighter (or dashed) version of its series color
+  const baselineSeries = (feature, color) => {
+    const base = baseline?.find((item) => item.properties.RIVERBASIN === feature.properties.RIVERBASIN);
+    return (
+      base && {
+        label: isComparison ? t('barChart.basinBaseline', { basin: feature.properties.RIVERBASIN }) : t('barChart.baseline'),
+        data: getMonthlyValues(base.properties, selectedYear),
+        backgroundColor: withOpacity(color, 0.2),
+        borderColor: color,
+        borderWidth: 1,
+        borderDash: [4, 4],
+        pointRadius: 2,
+      }
+    );
+  };
+
+  // One series per compared basin, drawn as grouped bars or overlaid lines
+  const comparisonChartData = {
+    labels: monthLabels,
+    datasets: basinFeatures.flatMap((feature, i) =>
+      [
+        {
+          label: baseline
+            ? t('barChart.basinScenario', { basin: feature.properties.RIVERBASIN, scenario: scenarioName })
+            : feature.properties.RIVERBASIN,
+          data: getMonthlyValues(feature.properties, selectedYear),
+          backgroundColor: showLines ? seriesColor(palette, i) : withOpacity(seriesColor(palette, i), 0.6),
+          borderColor: seriesColor(palette, i),
+          borderWidth: showLines ? 2 : 1,
+          pointRadius: 2,
+        },
+        baselineSeries(feature, seriesColor(palette, i)),
+      ].filter(Boolean)
+    ),
+  };
+
+  const chartData = isComparison ? comparisonChartData : {
+    labels: monthLabels,
     datasets: [
       {
-        label: `Monthly Water Shortage for ${selectedBasin}`,
+        label: baseline
+          ? scenarioName
+          : t('barChart.monthlyShortage', { basin: `${basinData.properties.RIVERBASIN}${yearSuffix}` }),
         data: monthlyData,
-        backgroundColor: 'rgba(255, 99, 132, 0.6)', // Soft red-pink color for bars with transparency
-        borderColor: 'rgba(255, 99, 132, 1)', // Darker border for bars
+        // Each month in the map's color for its value, or the palette accent
+        backgroundColor: colorScale
+          ? monthlyData.map((value) => withOpacity(colorScale(value), 0.8))
+          : withOpacity(palette.accent, 0.6),
+        borderColor: colorScale ? monthlyData.map((value) => colorScale(value)) : palette.accent,
         borderWidth: 1, // Thin border around bars
       },
+      baselineSeries(basinData, palette.accent),
+    ].filter(Boolean),
+  };
+
+  // Mean of every basin, the reference for the context and anomaly modes
+  const globalMeans = monthlyMeans(data, selectedYear);
+
+  const basinLine = (feature, i, values) => ({
+    label: feature.properties.RIVERBASIN,
+    data: values,
+    borderColor: seriesColor(palette, i),
+    backgroundColor: seriesColor(palette, i),
+    borderWidth: 2,
+    pointRadius: 2,
+  });
+
+  const meanLine = (label, values, color) => ({
+    label,
+    data: values,
+    borderColor: color,
+    backgroundColor: color,
+    borderWidth: 1.5,
+    borderDash: [4, 4],
+    pointRadius: 0,
+  });
+
+  // Each basin next to the mean of its continent and of all basins
+  const continents = [...new Set(basinFeatures.map((f) => f.properties.CONTINENT))];
+  const contextChartData = {
+    labels: monthLabels,
+    datasets: [
+      ...basinFeatures.map((feature, i) => basinLine(feature, i, getMonthlyValues(feature.properties, selectedYear))),
+      ...continents.map((continent) =>
+        meanLine(
+          t('barChart.continentMean', { continent }),
+          monthlyMeans(
+            data.filter((f) => f.properties.CONTINENT === continent),
+            selectedYear
+          ),
+          continentColor(palette, continent)
+        )
+      ),
+      meanLine(t('barChart.globalMean'), globalMeans, '#555'),
+    ],
+  };
+
+  // Shortage summed up over the year, against the global mean's running total
+  const cumulativeChartData = {
+    labels: monthLabels,
+    datasets: [
+      ...basinFeatures.map((feature, i) =>
+        basinLine(feature, i, cumulative(getMonthlyValues(feature.properties, selectedYear)))
+      ),
+      meanLine(t('barChart.globalMean'), cumulative(globalMeans), '#555'),
     ],
   };
 
+  // Difference from the global mean, colored on a diverging scale symmetric around zero
+  const anomalies = basinFeatures.map((feature) =>
+    getMonthlyValues(feature.properties, selectedYear).map((value, m) =>
+      globalMeans[m] === null ? null : value - globalMeans[m]
+    )
+  );
+  const anomalyExtent = d3.max(anomalies.flat(), (v) => Math.abs(v ?? 0)) || 1;
+  const anomalyColor = d3.scaleDiverging([-anomalyExtent, 0, anomalyExtent], palette.diverging);
+  const anomalyChartData = {
+    labels: monthLabels,
+    datasets: basinFeatures.map((feature, i) => ({
+      label: feature.properties.RIVERBASIN,
+      data: anomalies[i],
+      backgroundColor: anomalies[i].map((v) => withOpacity(anomalyColor(v ?? 0), 0.8)),
+      borderColor: isComparison ? seriesColor(palette, i) : anomalies[i].map((v) => anomalyColor(v ?? 0)),
+      borderWidth: isComparison ? 2 : 1,
+    })),
+  };
+
+  const chart = {
+    bars: { Chart: Bar, data: chartData },
+    lines: { Chart: Line, data: showYears ? yearlyChartData : chartData },
+    context: { Chart: Line, data: contextChartData },
+    cumulative: { Chart: Line, data: cumulativeChartData },
+    anomaly: { Chart: Bar, data: anomalyChartData },
+  }[activeMode];
+
+  const inYear = (title) => (selectedYear ? t('barChart.inYear', { title, year: selectedYear }) : title);
+  const vsBaseline = (title) => (baseline ? t('barChart.vsBaseline', { title }) : title);
+  const basins = { basins: basinNames };
+  const titles = {
+    bars: vsBaseline(inYear(t('barChart.title.trends', basins))),
+    lines: showYears ? t('barChart.title.byYear', basins) : vsBaseline(inYear(t('barChart.title.trends', basins))),
+    context: inYear(t('barChart.title.context', basins)),
+    cumulative: inYear(t('barChart.title.cumulative', basins)),
+    anomaly: inYear(t('barChart.title.anomaly', basins)),
+  };
+
+  const tooltipText = (value) => {
+    if (value === null || value === undefined) return t('common.noData');
+    if (activeMode === 'cumulative') return t('barChart.tooltip.cumulative', { amount: formatUnit(value, 'millimeter') });
+    if (activeMode === 'anomaly') {
+      return t('barChart.tooltip.anomaly', { amount: formatUnit(value, 'millimeter', { signDisplay: 'exceptZero' }) });
+    }
+    return t('barChart.tooltip.shortage', { amount: formatUnit(value, 'millimeter') });
+  };
+  const labelTooltips = activeMode !== 'bars' || isComparison || baseline;
+
+  // Threshold lines are in shortage units, so they don't fit the cumulative or anomaly charts
+  const showThresholds = ['bars', 'lines', 'context'].includes(activeMode);
+
   const options = {
     responsive: true,
+    locale, // Axis tick numbers in the page's language
     plugins: {
       title: {
         display: true,
-        text: `Water Scarcity Trends for ${selectedBasin}`,
+        text: titles[activeMode],
         font: {
           size: 18,
         },
       },
       tooltip: {
         callbacks: {
-          label: (context) => `${context.raw} mm of water shortage`, // More informative tooltip
+          label: (context) =>
+            labelTooltips
+              ? t('barChart.tooltip.series', { label: context.dataset.label, text: tooltipText(context.raw) })
+              : tooltipText(context.raw), // More informative tooltip
         },
       },
+      annotation: {
+        annotations: showThresholds ? thresholdAnnotations(thresholds) : {},
+      },
     },
     scales: {
       x: {
@@ -102,7 +384,20 @@ const BarChart = ({ data, selectedBasin }) => {
         minHeight: '300px', // This ensures the container doesn't collapse
         height: '100%', // Ensure it occupies full available space
      }}>
-      <Bar data={chartData} options={options} />
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '5px', padding: '5px' }}>
+        <label>
+          {t('barChart.chart')}{' '}
+          <select value={activeMode} onChange={(e) => setMode(e.target.value)}>
+            {modes.map((id) => (
+              <option key={id} value={id}>
+                {t(id === 'lines' && !isComparison ? 'barChart.mode.allYears' : `barChart.mode.${id}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <chart.Chart data={chart.data} options={options} role="img" aria-label={titles[activeMode]} />
+      <ChartDataTable title={titles[activeMode]} data={chart.data} />
     </div>
   );
 };
@@ -0,0 +1,113 @@
+import React, { useMemo, useState } from 'react';
+import { buildSearchIndex, searchEntries } from '../lib/search';
+import { useI18n } from '../lib/i18n';
+
+const optionStyle = (active) => ({
+  padding: '5px 10px',
+  cursor: 'pointer',
+  backgroundColor: active ? '#f5e6d0' : '#fff',
+});
+
+// Search box with fuzzy autocomplete over basin and river names.
+// `onSelect(entry)` receives { type, name, basin, bbox } for the chosen result.
+const BasinSearch = ({ geojsonData, riversData, onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const { t } = useI18n();
+
+  const index = useMemo(() => buildSearchIndex(geojsonData, riversData), [geojsonData, riversData]);
+  const results = useMemo(() => searchEntries(index, query), [index, query]);
+
+  const choose = (entry) => {
+    setQuery(entry.name);
+    setIsOpen(false);
+    onSelect(entry);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex((i) => Math.min(i + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((i) => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter' && isOpen && results[activeIndex]) {
+      e.preventDefault();
+      choose(results[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  const showResults = isOpen && query.trim() !== '';
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <input
+        type="search"
+        role="combobox"
+        aria-label={t('search.label')}
+        aria-expanded={showResults}
+        aria-controls="basin-search-results"
+        aria-activedescendant={showResults && results[activeIndex] ? `basin-search-${activeIndex}` : undefined}
+        placeholder={t('search.label')}
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActiveIndex(0);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={onKeyDown}
+        style={{ padding: '5px', width: '200px', border: 'none', borderRadius: '3px', backgroundColor: '#fff' }}
+      />
+      {showResults && (
+        <ul
+          id="basin-search-results"
+          role="listbox"
+          style={{
+            position: 'absolute',
+            zIndex: 1000,
+            width: '100%',
+            margin: 0,
+            padding: 0,
+            listStyle: 'none',
+            backgroundColor: '#fff',
+            borderRadius: '3px',
+            boxShadow: '0 2px 10px rgba(0, 0, 0, 0.2)',
+            fontSize: '14px',
+          }}
+        >
+          {results.length === 0 && <li style={optionStyle(false)}>{t('search.noMatches')}</li>}
+          {results.map((entry, i) => (
+            <li
+              key={`${entry.type}-${entry.name}`}
+              id={`basin-search-${i}`}
+              role="option"
+              aria-selected={i === activeIndex}
+              // Choose on mousedown so the input's blur does not close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                choose(entry);
+              }}
+              onMouseEnter={() => setActiveIndex(i)}
+              style={optionStyle(i === activeIndex)}
+            >
+              {entry.name}
+              <span style={{ color: '#888', fontSize: '12px' }}>
+                {' '}
+                {entry.type === 'river' ? t('search.river') : t('common.basin')}
+                {entry.detail ? ` · ${entry.detail}` : ''}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default BasinSearch;
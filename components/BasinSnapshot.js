@@ -0,0 +1,48 @@
+import React from 'react';
+import { getAnnualAverage } from '../lib/months';
+import { useI18n } from '../lib/i18n';
+
+// Static map of a basin and its neighbors for the printable report. `snapshot` comes
+// from lib/report ({ width, height, shapes: [{ basin, path }] }, already projected);
+// basins are filled by their average scarcity with the map's monthly `colorScale`, and
+// the report's basin is outlined.
+const BasinSnapshot = ({ snapshot, basin, features, year = null, colorScale }) => {
+  const { t, formatUnit } = useI18n();
+  if (!snapshot) return <p>{t('report.noMap')}</p>;
+
+  const fillOf = (name) => {
+    const feature = features.find((f) => f.properties.RIVERBASIN === name);
+    const average = feature ? getAnnualAverage(feature.properties, year) : null;
+    return { average, fill: average === null || average === undefined ? '#ccc' : colorScale(average) };
+  };
+
+  return (
+    <svg
+      viewBox={`0 0 ${snapshot.width} ${snapshot.height}`}
+      style={{ width: '100%', height: 'auto', background: '#eef3f7' }}
+      role="img"
+      aria-label={t('report.mapLabel', { basin })}
+    >
+      {snapshot.shapes.map((shape) => {
+        const { average, fill } = fillOf(shape.basin);
+        const isBasin = shape.basin === basin;
+        return (
+          <path
+            key={shape.basin}
+            d={shape.path}
+            fill={fill}
+            fillOpacity={isBasin ? 0.9 : 0.5}
+            stroke={isBasin ? '#000' : '#666'}
+            strokeWidth={isBasin ? 2 : 0.75}
+          >
+            <title>
+              {`${shape.basin}: ${average === null || average === undefined ? t('common.noData') : formatUnit(average, 'millimeter')}`}
+            </title>
+          </path>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default BasinSnapshot;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { useI18n } from '../lib/i18n';
+
+const MAX_LISTED_ISSUES = 50;
+
+// Error state shown instead of the dashboard when the dataset fails to load, and for
+// uploaded scenarios that fail validation
+const DataErrorPanel = ({ error, issues = [], title }) => {
+  const { t } = useI18n();
+  const listed = issues.slice(0, MAX_LISTED_ISSUES);
+
+  return (
+    <div className="element" role="alert" style={{ padding: '20px', textAlign: 'left' }}>
+      <h2>{title ?? t('dataError.title')}</h2>
+      <p>{error}</p>
+
+      {listed.length > 0 && (
+        <table style={{ width: '100%', fontSize: '14px', fontWeight: 'normal', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={{ textAlign: 'left' }}>{t('dataError.file')}</th>
+              <th style={{ textAlign: 'left' }}>{t('dataError.feature')}</th>
+              <th style={{ textAlign: 'left' }}>{t('common.basin')}</th>
+              <th style={{ textAlign: 'left' }}>{t('dataError.problem')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {listed.map((issue, i) => (
+              <tr key={i}>
+                <td>{issue.source}</td>
+                <td>{issue.feature === null ? '—' : `#${issue.feature}`}</td>
+                <td>{issue.basin ?? '—'}</td>
+                <td>
+                  {issue.property
+                    ? `${issue.property} ${issue.message}`
+                    : `${issue.feature === null ? 'File' : 'Feature'} ${issue.message}`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {issues.length > listed.length && <p>{t('dataError.more', { count: issues.length - listed.length })}</p>}
+    </div>
+  );
+};
+
+export default DataErrorPanel;
@@ -0,0 +1,225 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import { MONTHS, getAnnualAverage, monthProperty } from '../lib/months';
+import { useI18n } from '../lib/i18n';
+
+const PAGE_SIZES = [10, 25, 50];
+
+const cellStyle = { padding: '4px 6px', borderBottom: '1px solid #eee', whiteSpace: 'nowrap' };
+const numberCellStyle = { ...cellStyle, textAlign: 'right' };
+
+// Table columns. `value` reads a row's sort/display value; text columns sort alphabetically.
+const buildColumns = (year, { t, monthLabels }) => [
+  { id: 'RIVERBASIN', label: t('common.basin'), text: true, value: (p) => p.RIVERBASIN },
+  { id: 'CONTINENT', label: t('common.continent'), text: true, value: (p) => p.CONTINENT },
+  { id: 'population', label: t('property.population'), value: (p) => p.population },
+  { id: 'average', label: t('dataTable.average'), value: (p) => getAnnualAverage(p, year) },
+  ...MONTHS.map((month, i) => ({ id: month, label: monthLabels[i], value: (p) => p[monthProperty(month, year)] })),
+  { id: 'scarcity_population', label: t('dataTable.scarcityPopulation'), value: (p) => p.scarcity_population },
+];
+
+// Missing values sort last in either direction
+const compareValues = (a, b, text) => {
+  if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+  if (b === null || b === undefined) return -1;
+  return text ? String(a).localeCompare(String(b)) : a - b;
+};
+
+const SPARK_WIDTH = 80;
+const SPARK_HEIGHT = 20;
+
+// Mini line chart of the twelve monthly values, scaled to the row's own range
+const Sparkline = ({ values, color }) => {
+  const points = values.map((v, i) => [i, v]).filter(([, v]) => v !== null && v !== undefined);
+  if (points.length < 2) return null;
+
+  const x = d3.scaleLinear([0, MONTHS.length - 1], [1, SPARK_WIDTH - 1]);
+  const [min, max] = d3.extent(points, ([, v]) => v);
+  const y = d3.scaleLinear([min, max === min ? min + 1 : max], [SPARK_HEIGHT - 2, 2]);
+  const path = d3
+    .line()
+    .x(([i]) => x(i))
+    .y(([, v]) => y(v))(points);
+
+  return (
+    <svg width={SPARK_WIDTH} height={SPARK_HEIGHT} aria-hidden="true">
+      <path d={path} fill="none" stroke={color} strokeWidth={1.5} />
+    </svg>
+  );
+};
+
+// Sortable, paginated table of basins with a text filter and monthly sparklines.
+// Rows preview on hover and pick on click; a basin picked elsewhere brings up its page.
+// Aggregated regions (properties.isRegion) are listed in italics.
+const DataTable = ({ features, selectedYear = null, selectedBasin, focusedBasin, pinnedBasins = [], onHover, onPick, color }) => {
+  const [sort, setSort] = useState({ column: 'RIVERBASIN', descending: false });
+  const [query, setQuery] = useState('');
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+  const i18n = useI18n();
+  const { t, formatNumber } = i18n;
+
+  const columns = useMemo(() => buildColumns(selectedYear, i18n), [selectedYear, i18n]);
+
+  const rows = useMemo(() => {
+    const needle = query.trim().toLowerCase();
+    const matching = needle
+      ? features.filter(({ properties }) =>
+          [properties.RIVERBASIN, properties.CONTINENT].some((text) => String(text).toLowerCase().includes(needle))
+        )
+      : features;
+
+    const column = columns.find((c) => c.id === sort.column);
+    return [...matching].sort((a, b) => {
+      const va = column.value(a.properties);
+      const vb = column.value(b.properties);
+      // Keep missing values last, whichever way the column is sorted
+      if (va === null || va === undefined || vb === null || vb === undefined) return compareValues(va, vb, column.text);
+      return (sort.descending ? -1 : 1) * compareValues(va, vb, column.text);
+    });
+  }, [features, query, sort, columns]);
+
+  const pageCount = Math.max(Math.ceil(rows.length / pageSize), 1);
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = rows.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+
+  // Show the page holding a basin picked in another view, once per pick
+  const handledFocusRef = useRef(null);
+  useEffect(() => {
+    if (!focusedBasin || handledFocusRef.current === focusedBasin.id) return;
+    handledFocusRef.current = focusedBasin.id;
+    const index = rows.findIndex((f) => f.properties.RIVERBASIN === focusedBasin.basin);
+    if (index !== -1) setPage(Math.floor(index / pageSize));
+  }, [focusedBasin, rows, pageSize]);
+
+  const sortBy = (column) => {
+    setSort((current) => ({
+      column,
+      descending: current.column === column ? !current.descending : false,
+    }));
+    setPage(0);
+  };
+
+  return (
+    <div style={{ padding: '10px', fontSize: '14px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '5px' }}>
+        <input
+          type="search"
+          placeholder={t('dataTable.filter')}
+          aria-label={t('dataTable.filterLabel')}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setPage(0);
+          }}
+          style={{ padding: '4px', minWidth: '220px' }}
+        />
+        <span>{t('dataTable.rows', { count: rows.length })}</span>
+        <label style={{ marginLeft: 'auto' }}>
+          {t('dataTable.pageSize')}{' '}
+          <select
+            value={pageSize}
+            onChange={(e) => {
+              setPageSize(Number(e.target.value));
+              setPage(0);
+            }}
+          >
+            {PAGE_SIZES.map((size) => (
+              <option key={size} value={size}>
+                {size}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <caption style={{ textAlign: 'left', fontWeight: 'bold', padding: '5px 0' }}>
+            {selectedYear ? t('dataTable.captionYear', { year: selectedYear }) : t('dataTable.caption')}
+          </caption>
+          <thead style={{ backgroundColor: '#f5e6d0' }}>
+            <tr>
+              {columns.map((column) => (
+                <th
+                  key={column.id}
+                  style={column.text ? cellStyle : numberCellStyle}
+                  aria-sort={
+                    sort.column === column.id ? (sort.descending ? 'descending' : 'ascending') : 'none'
+                  }
+                >
+                  <button
+                    onClick={() => sortBy(column.id)}
+                    style={{ border: 'none', background: 'none', font: 'inherit', fontWeight: 'bold', cursor: 'pointer', padding: 0 }}
+                  >
+                    {column.label}
+                    {sort.column === column.id && (sort.descending ? ' ▼' : ' ▲')}
+                  </button>
+                </th>
+              ))}
+              <th style={cellStyle}>{t('dataTable.monthly')}</th>
+            </tr>
+          </thead>
+          <tbody onMouseLeave={() => onHover(null)}>
+            {pageRows.map(({ properties }) => {
+              const basin = properties.RIVERBASIN;
+              return (
+                <tr
+                  key={basin}
+                  onMouseEnter={() => onHover(basin)}
+                  onClick={() => onPick(basin)}
+                  tabIndex={0} // Rows take focus, which previews the basin; Enter or Space picks it
+                  onFocus={() => onHover(basin)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                      e.preventDefault();
+                      onPick(basin);
+                    }
+                  }}
+                  aria-selected={basin === selectedBasin}
+                  style={{
+                    cursor: 'pointer',
+                    backgroundColor: basin === selectedBasin ? '#dbe9f6' : 'transparent',
+                    fontWeight: pinnedBasins.includes(basin) ? 'bold' : 'normal',
+                    fontStyle: properties.isRegion ? 'italic' : 'normal',
+                  }}
+                >
+                  {columns.map((column) => {
+                    const value = column.value(properties);
+                    return (
+                      <td key={column.id} style={column.text ? cellStyle : numberCellStyle}>
+                        {column.text ? value : value === null || value === undefined ? '–' : formatNumber(value)}
+                      </td>
+                    );
+                  })}
+                  <td style={cellStyle}>
+                    <Sparkline values={MONTHS.map((month) => properties[monthProperty(month, selectedYear)])} color={color} />
+                  </td>
+                </tr>
+              );
+            })}
+            {pageRows.length === 0 && (
+              <tr>
+                <td colSpan={columns.length + 1} style={cellStyle}>
+                  {t('dataTable.empty')}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '10px', marginTop: '5px' }}>
+        <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0}>
+          {t('dataTable.previous')}
+        </button>
+        <span>{t('dataTable.page', { page: currentPage + 1, pages: pageCount })}</span>
+        <button onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount - 1}>
+          {t('dataTable.next')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DataTable;
@@ -0,0 +1,89 @@
+import React from 'react';
+import {
+  downloadCanvasPng,
+  downloadSvg,
+  downloadSvgPng,
+  downloadText,
+  featuresToCsv,
+  featuresToGeoJson,
+  withGeometry,
+} from '../lib/export';
+import { useI18n } from '../lib/i18n';
+
+const menuButtonStyle = {
+  display: 'block',
+  width: '100%',
+  padding: '5px 10px',
+  border: 'none',
+  background: 'transparent',
+  textAlign: 'left',
+  cursor: 'pointer',
+};
+
+// Export menu for the current view: data as CSV/GeoJSON and the charts as images.
+// `features` is what is on screen (pinned basins when any are pinned).
+const ExportMenu = ({ features, metrics = [], scopeLabel, selectedYear, barChartRef, treeMapRef }) => {
+  const { t } = useI18n();
+  const suffix = selectedYear ? `-${selectedYear}` : '';
+
+  const exportCsv = () =>
+    downloadText(featuresToCsv(features, selectedYear, metrics), `basins${suffix}.csv`, 'text/csv');
+
+  // The page holds basins without their shapes, so the full geometry is fetched on demand
+  const exportGeoJson = () =>
+    fetch('/api/basins')
+      .then((response) => {
+        if (!response.ok) throw new Error(`Request failed with status ${response.status}`);
+        return response.json();
+      })
+      .then((shapes) =>
+        downloadText(featuresToGeoJson(withGeometry(features, shapes)), `basins${suffix}.geojson`, 'application/geo+json')
+      )
+      .catch((error) => console.error('Error exporting GeoJSON:', error));
+
+  const exportBarChart = () => {
+    const canvas = barChartRef.current?.querySelector('canvas');
+    if (canvas) downloadCanvasPng(canvas, `bar-chart${suffix}.png`);
+  };
+
+  const treeMapSvg = () => treeMapRef.current?.querySelector('svg');
+
+  const exportTreeMapSvg = () => {
+    const svg = treeMapSvg();
+    if (svg) downloadSvg(svg, `treemap${suffix}.svg`);
+  };
+
+  const exportTreeMapPng = () => {
+    const svg = treeMapSvg();
+    if (svg) downloadSvgPng(svg, `treemap${suffix}.png`).catch((error) => console.error(error));
+  };
+
+  return (
+    <details className="export-menu" style={{ position: 'relative', display: 'inline-block' }}>
+      <summary style={{ cursor: 'pointer', padding: '5px 10px', backgroundColor: '#f5e6d0', borderRadius: '5px' }}>
+        {t('export.title')}
+      </summary>
+      <div
+        style={{
+          position: 'absolute',
+          right: 0,
+          zIndex: 1000,
+          minWidth: '220px',
+          backgroundColor: '#fff',
+          border: '1px solid #ccc',
+          borderRadius: '5px',
+          boxShadow: '0 2px 10px rgba(0, 0, 0, 0.2)',
+        }}
+      >
+        <div style={{ padding: '5px 10px', fontSize: '12px', color: '#666' }}>{scopeLabel}</div>
+        <button style={menuButtonStyle} onClick={exportCsv}>{t('export.csv')}</button>
+        <button style={menuButtonStyle} onClick={exportGeoJson}>{t('export.geojson')}</button>
+        <button style={menuButtonStyle} onClick={exportBarChart}>{t('export.barChart')}</button>
+        <button style={menuButtonStyle} onClick={exportTreeMapPng}>{t('export.treeMapPng')}</button>
+        <button style={menuButtonStyle} onClick={exportTreeMapSvg}>{t('export.treeMapSvg')}</button>
+      </div>
+    </details>
+  );
+};
+
+export default ExportMenu;
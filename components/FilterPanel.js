@@ -0,0 +1,261 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import * as d3 from 'd3';
+import { hasActiveFilters, setRange, EMPTY_FILTERS } from '../lib/filters';
+import { useI18n } from '../lib/i18n';
+
+const formatShort = d3.format('.3~s');
+
+const HISTOGRAM_WIDTH = 300;
+const HISTOGRAM_HEIGHT = 110;
+const MARGIN = { top: 5, right: 10, bottom: 20, left: 10 };
+
+// Histogram of a property's values with a brush that selects a value range, and minimum
+// and maximum fields that set the same range from the keyboard. `range` is [min, max]
+// with null for an open end, or null for no range.
+const Histogram = ({ values, range, onChange, color }) => {
+  const { t } = useI18n();
+  const brushRef = useRef(null);
+  const onChangeRef = useRef(onChange); // The brush outlives renders, so it calls the latest handler
+  onChangeRef.current = onChange;
+
+  const { x, bins, y } = useMemo(() => {
+    const x = d3
+      .scaleLinear()
+      .domain(d3.extent(values))
+      .nice()
+      .range([MARGIN.left, HISTOGRAM_WIDTH - MARGIN.right]);
+    const bins = d3.bin().domain(x.domain()).thresholds(x.ticks(20))(values);
+    const y = d3
+      .scaleLinear()
+      .domain([0, d3.max(bins, (bin) => bin.length) || 1])
+      .range([HISTOGRAM_HEIGHT - MARGIN.bottom, MARGIN.top]);
+    return { x, bins, y };
+  }, [values]);
+
+  const [domainMin, domainMax] = x.domain();
+  const selection = range ? [range[0] ?? domainMin, range[1] ?? domainMax] : null;
+  const [selectionMin, selectionMax] = selection ?? [null, null];
+
+  // d3 owns the brush; it reports user brushing and is moved to match filter changes from elsewhere
+  const brush = useMemo(
+    () =>
+      d3
+        .brushX()
+        .extent([
+          [MARGIN.left, MARGIN.top],
+          [HISTOGRAM_WIDTH - MARGIN.right, HISTOGRAM_HEIGHT - MARGIN.bottom],
+        ])
+        .on('end', ({ selection: pixels, sourceEvent }) => {
+          if (!sourceEvent) return; // Moved by the effect below
+          // Four significant digits keep the range readable in the URL
+          onChangeRef.current(pixels ? pixels.map((px) => Number(x.invert(px).toPrecision(4))) : null);
+        }),
+    [x]
+  );
+
+  useEffect(() => {
+    const g = d3.select(brushRef.current);
+    g.call(brush);
+    g.call(brush.move, selectionMin === null ? null : [x(selectionMin), x(selectionMax)]);
+  }, [brush, x, selectionMin, selectionMax]);
+
+  const inSelection = (bin) => !selection || (bin.x1 > selection[0] && bin.x0 < selection[1]);
+
+  // A field is applied when it loses focus or on Enter; leaving it empty opens that end
+  const setEnd = (index, text) => {
+    const value = text.trim() === '' ? null : Number(text);
+    if (Number.isNaN(value) || value === (range?.[index] ?? null)) return;
+    const next = [range?.[0] ?? null, range?.[1] ?? null];
+    next[index] = value;
+    onChange(next[0] === null && next[1] === null ? null : next);
+  };
+  const endInput = (index, label) => (
+    <label style={{ fontSize: '12px' }}>
+      {label}{' '}
+      <input
+        key={range?.[index] ?? 'open'} // Follows the brush and filter changes made elsewhere
+        type="number"
+        step="any"
+        defaultValue={range?.[index] ?? ''}
+        placeholder={formatShort(index === 0 ? domainMin : domainMax)}
+        onBlur={(e) => setEnd(index, e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') setEnd(index, e.target.value);
+        }}
+        style={{ width: '80px' }}
+      />
+    </label>
+  );
+
+  return (
+    <>
+      <svg
+        viewBox={`0 0 ${HISTOGRAM_WIDTH} ${HISTOGRAM_HEIGHT}`}
+        style={{ width: '100%', maxWidth: `${HISTOGRAM_WIDTH * 1.5}px` }}
+        role="img"
+        aria-label={t('filters.histogram')}
+      >
+        {bins.map((bin) => (
+          <rect
+            key={bin.x0}
+            x={x(bin.x0) + 0.5}
+            y={y(bin.length)}
+            width={Math.max(x(bin.x1) - x(bin.x0) - 1, 0)}
+            height={y(0) - y(bin.length)}
+            fill={inSelection(bin) ? color : '#d3d3d3'}
+          />
+        ))}
+        <text x={MARGIN.left} y={HISTOGRAM_HEIGHT - 5} fontSize="10">
+          {formatShort(domainMin)}
+        </text>
+        <text x={HISTOGRAM_WIDTH - MARGIN.right} y={HISTOGRAM_HEIGHT - 5} fontSize="10" textAnchor="end">
+          {formatShort(domainMax)}
+        </text>
+        <g ref={brushRef} />
+      </svg>
+      <div style={{ display: 'flex', gap: '10px' }}>
+        {endInput(0, t('filters.minimum'))}
+        {endInput(1, t('filters.maximum'))}
+      </div>
+    </>
+  );
+};
+
+// Min/max slider on a log scale, for values such as population that span orders of magnitude.
+// Dragging a thumb to the end of the track leaves that side of the range open.
+const STEPS = 100;
+
+const LogRangeSlider = ({ label, min, max, range, onChange }) => {
+  const { t, formatNumber } = useI18n();
+  const scale = d3.scaleLog().domain([min, max]).range([0, STEPS]).clamp(true);
+  const low = range?.[0] ?? min;
+  const high = range?.[1] ?? max;
+
+  const update = (lowStep, highStep) => {
+    const lowValue = lowStep <= 0 ? null : Math.round(scale.invert(lowStep));
+    const highValue = highStep >= STEPS ? null : Math.round(scale.invert(highStep));
+    onChange(lowValue === null && highValue === null ? null : [lowValue, highValue]);
+  };
+
+  return (
+    <fieldset style={{ border: 'none', padding: 0, margin: '10px 0' }}>
+      <legend style={{ fontWeight: 'bold' }}>{label}</legend>
+      <input
+        type="range"
+        min="0"
+        max={STEPS}
+        value={Math.round(scale(low))}
+        aria-label={t('filters.minimumOf', { label: label.toLowerCase() })}
+        onChange={(e) => update(Math.min(Number(e.target.value), scale(high)), scale(high))}
+        style={{ width: '100%' }}
+      />
+      <input
+        type="range"
+        min="0"
+        max={STEPS}
+        value={Math.round(scale(high))}
+        aria-label={t('filters.maximumOf', { label: label.toLowerCase() })}
+        onChange={(e) => update(scale(low), Math.max(Number(e.target.value), scale(low)))}
+        style={{ width: '100%' }}
+      />
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px' }}>
+        <span>{formatNumber(low)}</span>
+        <span>{formatNumber(high)}</span>
+      </div>
+    </fieldset>
+  );
+};
+
+// Filter controls: a brushable histogram of the map's current property, a continent
+// checklist and a population range, plus the active filters and how many basins match.
+// `onChange(update, options)` receives a function of the current filters.
+const FilterPanel = ({ features, filters, onChange, property, propertyLabel, labels = {}, matchCount, color }) => {
+  const { t } = useI18n();
+  const values = useMemo(
+    () => features.map((f) => f.properties[property]).filter((v) => typeof v === 'number'),
+    [features, property]
+  );
+  const [populationMin, populationMax] = useMemo(
+    () => d3.extent(features, (f) => (f.properties.population > 0 ? f.properties.population : undefined)),
+    [features]
+  );
+  const continents = useMemo(
+    () => [...new Set(features.map((f) => f.properties.CONTINENT).filter(Boolean))].sort(),
+    [features]
+  );
+
+  const onHistogramChange = (range) => onChange((current) => setRange(current, property, range));
+
+  const toggleContinent = (continent) =>
+    onChange((current) => ({
+      ...current,
+      continents: current.continents.includes(continent)
+        ? current.continents.filter((c) => c !== continent)
+        : [...current.continents, continent],
+    }));
+
+  return (
+    <div className="filter-panel" style={{ padding: '10px', fontSize: '14px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong aria-live="polite">{t('filters.matching', { matching: matchCount, count: features.length })}</strong>
+        {hasActiveFilters(filters) && <button onClick={() => onChange(() => EMPTY_FILTERS)}>{t('filters.clear')}</button>}
+      </div>
+
+      {Object.keys(filters.ranges).length > 0 && (
+        <ul style={{ listStyle: 'none', padding: 0, margin: '5px 0' }}>
+          {Object.entries(filters.ranges).map(([name, [min, max]]) => (
+            <li key={name} style={{ fontSize: '12px' }}>
+              {labels[name] || name}: {min === null ? '…' : formatShort(min)} – {max === null ? '…' : formatShort(max)}{' '}
+              <button
+                onClick={() => onChange((current) => setRange(current, name, null))}
+                aria-label={t('filters.remove', { label: labels[name] || name })}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div style={{ fontWeight: 'bold', marginTop: '10px' }}>{propertyLabel}</div>
+      {values.length > 0 ? (
+        <Histogram
+          values={values}
+          range={filters.ranges[property] ?? null}
+          onChange={onHistogramChange}
+          color={color}
+        />
+      ) : (
+        <p>{t('filters.noValues')}</p>
+      )}
+
+      {populationMin < populationMax && (
+        <LogRangeSlider
+          label={t('property.population')}
+          min={populationMin}
+          max={populationMax}
+          range={filters.ranges.population ?? null}
+          // Slider steps update the current history entry rather than adding one each
+          onChange={(range) => onChange((current) => setRange(current, 'population', range), { replace: true })}
+        />
+      )}
+
+      <fieldset style={{ border: 'none', padding: 0, margin: '10px 0' }}>
+        <legend style={{ fontWeight: 'bold' }}>{t('filters.continents')}</legend>
+        {continents.map((continent) => (
+          <label key={continent} style={{ display: 'inline-block', marginRight: '10px' }}>
+            <input
+              type="checkbox"
+              checked={filters.continents.includes(continent)}
+              onChange={() => toggleContinent(continent)}
+            />{' '}
+            {continent}
+          </label>
+        ))}
+        <div style={{ fontSize: '12px', color: '#666' }}>{t('filters.continentsHint')}</div>
+      </fieldset>
+    </div>
+  );
+};
+
+export default FilterPanel;
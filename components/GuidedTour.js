@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import Joyride, { ACTIONS, EVENTS, STATUS } from 'react-joyride';
+import { TOURS, markTourSeen } from '../lib/tours';
+import { useI18n } from '../lib/i18n';
+
+// Styles for the full-page welcome step
+const welcomeStyles = {
+  options: {
+    zIndex: 10000, // Keep on top
+    backgroundColor: 'rgba(0, 0, 0, 0.6)', // Lighter dimmed background
+  },
+  tooltip: {
+    backgroundColor: '#222', // Tooltip background for better contrast
+    padding: '20px', // Increase padding for better spacing
+    borderRadius: '8px', // Rounded corners for a cleaner look
+    maxWidth: '400px', // Limit width for a focused layout
+  },
+  tooltipContent: {
+    textAlign: 'center',
+    color: '#ddd',
+  },
+  buttonNext: {
+    backgroundColor: '#ff3366', // Match branding or more vibrant colors
+    color: '#fff',
+  },
+  buttonSkip: {
+    color: '#fff',
+    opacity: 0.7,
+  },
+};
+
+// Joyride step from a tour step in lib/tours, with its text from the message catalogs
+const buildStep = (step, t) => {
+  if (step.welcome) {
+    return {
+      target: step.target,
+      content: (
+        <div>
+          <h2 style={{ color: '#fff', fontSize: '24px' }}>{t(step.titleKey)}</h2>
+          <p style={{ color: '#ddd', fontSize: '16px' }}>{t(step.contentKey)}</p>
+          <p style={{ color: '#ddd', fontSize: '14px' }}>{t('tour.welcomeStart')}</p>
+        </div>
+      ),
+      placement: step.placement,
+      disableBeacon: true,
+      spotlightPadding: 0, // Remove padding to dim the entire page
+      styles: welcomeStyles,
+    };
+  }
+  return {
+    target: step.target,
+    title: step.titleKey ? t(step.titleKey) : undefined,
+    content: t(step.contentKey),
+    placement: step.placement,
+    disableBeacon: true,
+  };
+};
+
+// Runs one tour from lib/tours (`tourId`, null when none is running); key it by the tour
+// so each one starts at its first step. Finishing, skipping or closing it marks it seen
+// and calls onEnd. `run` waits until the tour's targets exist.
+const GuidedTour = ({ tourId, run = true, onEnd }) => {
+  const { t } = useI18n();
+  const [stepIndex, setStepIndex] = useState(0);
+
+  if (!tourId) return null;
+  const steps = TOURS[tourId].steps.map((step) => buildStep(step, t));
+
+  const end = () => {
+    markTourSeen(tourId);
+    onEnd();
+  };
+
+  const handleEvent = ({ action, index, status, type }) => {
+    if (status === STATUS.FINISHED || status === STATUS.SKIPPED || action === ACTIONS.CLOSE) {
+      end();
+    } else if (type === EVENTS.STEP_AFTER || type === EVENTS.TARGET_NOT_FOUND) {
+      // Missing targets are passed over in the direction the user was going
+      const next = index + (action === ACTIONS.PREV ? -1 : 1);
+      if (next >= steps.length) end();
+      else setStepIndex(Math.max(next, 0));
+    }
+  };
+
+  return (
+    <Joyride
+      steps={steps}
+      stepIndex={stepIndex}
+      run={run}
+      callback={handleEvent}
+      continuous={true}
+      showProgress={true}
+      showSkipButton={true}
+      locale={{
+        back: t('tour.back'),
+        close: t('tour.close'),
+        last: t('tour.last'),
+        next: t('tour.next'),
+        open: t('tour.open'),
+        skip: t('tour.skip'),
+      }}
+      styles={{
+        options: {
+          zIndex: 10000, // Ensure Joyride appears above other elements
+        },
+      }}
+    />
+  );
+};
+
+export default GuidedTour;
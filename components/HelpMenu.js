@@ -0,0 +1,56 @@
+import React, { useRef } from 'react';
+import { TOURS } from '../lib/tours';
+import { useI18n } from '../lib/i18n';
+
+const menuButtonStyle = {
+  display: 'block',
+  width: '100%',
+  padding: '6px 10px',
+  border: 'none',
+  background: 'none',
+  textAlign: 'left',
+  cursor: 'pointer',
+};
+
+// "?" menu that restarts the full tour or runs the short tour of one feature
+const HelpMenu = ({ onStart }) => {
+  const { t } = useI18n();
+  const menuRef = useRef(null);
+
+  const start = (id) => {
+    menuRef.current.open = false;
+    onStart(id);
+  };
+
+  return (
+    <details id="help-menu" ref={menuRef} style={{ position: 'relative', display: 'inline-block' }}>
+      <summary
+        aria-label={t('help.label')}
+        title={t('help.label')}
+        style={{ cursor: 'pointer', padding: '5px 10px', backgroundColor: '#f5e6d0', borderRadius: '5px', fontWeight: 'bold' }}
+      >
+        ?
+      </summary>
+      <div
+        style={{
+          position: 'absolute',
+          right: 0,
+          zIndex: 1000,
+          minWidth: '200px',
+          backgroundColor: '#fff',
+          border: '1px solid #ccc',
+          borderRadius: '5px',
+          boxShadow: '0 2px 10px rgba(0, 0, 0, 0.2)',
+        }}
+      >
+        {Object.entries(TOURS).map(([id, tour]) => (
+          <button key={id} style={menuButtonStyle} onClick={() => start(id)}>
+            {t(tour.titleKey)}
+          </button>
+        ))}
+      </div>
+    </details>
+  );
+};
+
+export default HelpMenu;
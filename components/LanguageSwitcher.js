@@ -0,0 +1,32 @@
+import React from 'react';
+import { useRouter } from 'next/router';
+import { LOCALES, useI18n } from '../lib/i18n';
+
+// Language select. Switching routes to the same page and view in the other locale.
+const LanguageSwitcher = () => {
+  const router = useRouter();
+  const { locale, t } = useI18n();
+
+  const changeLocale = (nextLocale) => {
+    router.push({ pathname: router.pathname, query: router.query }, undefined, { locale: nextLocale, scroll: false });
+  };
+
+  return (
+    <label style={{ fontSize: '14px' }}>
+      {t('common.language')}{' '}
+      <select
+        value={locale}
+        onChange={(e) => changeLocale(e.target.value)}
+        style={{ padding: '5px', backgroundColor: '#f5e6d0', border: 'none', borderRadius: '5px' }}
+      >
+        {Object.entries(LOCALES).map(([id, { label }]) => (
+          <option key={id} value={id} lang={id}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -1,153 +1,111 @@
-import React, { useState, useEffect } from 'react';
-import { MapContainer, TileLayer, GeoJSON, useMap } from 'react-leaflet';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { MapContainer, TileLayer, GeoJSON, Pane, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import * as d3 from 'd3';
 import styles from '../styles/Map.module.css';  // Import your CSS module
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faWater, faSatellite, faMap } from '@fortawesome/free-solid-svg-icons';
-
-
-
-const formatNumberWithCommas = (num) => new Intl.NumberFormat().format(num);
-
-const MONTHS = [
-  'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec',
-];
-
-// Calculate global min/max for all monthly data
-const calculateMonthlyGlobalMinMax = (data) => {
-  const allValues = data.features.flatMap((f) =>
-    MONTHS.map((month) => f.properties[month]).filter((v) => v !== null && v !== undefined)
-  );
-
-  const min = Math.min(...allValues);
-  const max = Math.max(...allValues);
-
-  return { min, max };
-};
-
-// Create a quantile scale for non-continuous data
-const createDivergingColorScale = (data, property, cutoffType = 'percentile', cutoffValue = 0.3) => {
-  // Extract values from the specified property, filtering null/undefined
-  const values = data.features
-    .map((f) => f.properties[property])
-    .filter((v) => v !== null && v !== undefined);
-
-  // Dynamically determine the cutoff
-  let minCutoff;
-  if (cutoffType === 'percentile') {
-    // Calculate the cutoff based on the percentile
-    values.sort((a, b) => a - b); // Sort values in ascending order
-    const cutoffIndex = Math.floor(values.length * cutoffValue); // e.g., 50th percentile (median)
-    minCutoff = values[cutoffIndex];
-  } else if (cutoffType === 'mean') {
-    // Calculate the mean of the values
-    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
-    minCutoff = mean; // Use the mean as the midpoint
-  } else if (cutoffType === 'fixed') {
-    // Use a fixed cutoff value
-    minCutoff = cutoffValue;
-  } else {
-    throw new Error('Invalid cutoffType. Use "percentile", "mean", or "fixed".');
-  }
-
-  // Calculate the extent of the values
-  const [minValue, maxValue] = d3.extent(values);
-
-  // Create a diverging color scale
-  return d3
-    .scaleLinear()
-    .domain([minValue, minCutoff, maxValue]) // Low, midpoint, high
-    .range([
-      '#2c7bb6', // Blue for low values
-      '#ffffbf', // Yellow for the midpoint
-      '#d7191c', // Red for high values
-    ]);
-};
-
-
-// Create a fixed continuous scale for monthly data
-const createFixedContinuousColorScale = (min, max) => 
-  d3.scaleLinear().domain([min, max]).range(['#fee5d9', '#a50f15']); // Light to dark red
-
-const createQuantileColorScale = createDivergingColorScale;
-
-// Style GeoJSON features (polygons)
-const geoJSONStyle = (colorScale, property, feature, selectedMapArea, showRivers) => {
-  const value = feature.properties[property];
-  const isSelected = feature.properties.RIVERBASIN === selectedMapArea; // Check if the basin is selected
+import { faDrawPolygon, faWater, faPlay, faPause } from '@fortawesome/free-solid-svg-icons';
+import * as topojson from 'topojson-client';
+import { MONTHS, getAllMonthlyValues, getAnnualAverage, monthProperty } from '../lib/months';
+import { CLASSIFICATION_METHODS, MIDPOINT_TYPES } from '../lib/classification';
+import {
+  createClassifiedColorScale,
+  createDivergingColorScale,
+  createMonthlyColorScale,
+  getPropertyValues,
+} from '../lib/colorScales';
+import { getPalette, scaleGradient } from '../lib/palettes';
+import { formatMetricValue } from '../lib/metrics';
+import { useI18n } from '../lib/i18n';
+import { bboxCenter, bboxToLatLngBounds, computeBbox, detailLevelForZoom, nearestInDirection } from '../lib/geometry';
+import BasinSearch from './BasinSearch';
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Text for the popup and legend HTML. Basin names and metric labels come from uploads
+// and shared links, so they are escaped rather than read as markup.
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+// Style GeoJSON features (polygons). Basins outside the filters (`matchingBasins`, null
+// when no filter is set) stay visible but faded, so the matching ones stand out.
+const geoJSONStyle = (
+  colorScale,
+  property,
+  properties,
+  selectedMapArea,
+  pinnedBasins = [],
+  matchingBasins = null
+) => {
+  const value = properties[property];
+  const isSelected = properties.RIVERBASIN === selectedMapArea; // Check if the basin is selected
+  const isPinned = pinnedBasins.includes(properties.RIVERBASIN);
+  const isFilteredOut = matchingBasins !== null && !matchingBasins.has(properties.RIVERBASIN);
   return {
     fillColor: value === null || value === undefined ? '#d3d3d3' : colorScale(value), // Gray for no data
-    weight: isSelected ? 5 : 2, // Increase border width for selected basin
-    opacity: 1,
-    color: isSelected ?'blue':'white',
-    dashArray: '3',
-    fillOpacity: value === null || value === undefined ? 0.5 : 0.7, // Transparent gray for no data
-    interactive: !showRivers, // Disable interaction when rivers are visible
+    weight: isSelected ? 5 : isPinned ? 4 : isFilteredOut ? 1 : 2, // Increase border width for selected and pinned basins
+    opacity: isFilteredOut && !isSelected ? 0.4 : 1,
+    color: isSelected ? 'blue' : isPinned ? 'black' : 'white',
+    dashArray: isPinned ? '' : '3', // Solid outline for pinned basins
+    fillOpacity: isFilteredOut ? 0.1 : value === null || value === undefined ? 0.5 : 0.7, // Transparent gray for no data
   };
 };
 
 
 
-// Rivers style
-const riversStyle = {
-  color: 'lightblue',
-  weight: 4,
-  opacity: 1,
-  fillOpacity: 0,
+// Rivers crossing a highlighted (selected or pinned) basin are drawn darker and wider
+const riverStyle = (feature, highlightedBasins) => {
+  const isHighlighted = (feature.properties.basins ?? []).some((basin) => highlightedBasins.includes(basin));
+  return {
+    color: isHighlighted ? 'blue' : 'lightblue',
+    weight: isHighlighted ? 5 : 3,
+    opacity: 1,
+    fillOpacity: 0,
+  };
 };
 
-const RiversPane = ({ riversData, riversStyle, showRivers }) => {
+// Rivers draw in their own pane above the basins. The pane ignores the pointer, so basins
+// stay clickable around the rivers while the river lines themselves still take hover.
+// Rivers keep an SVG renderer: a canvas in this pane would hide the basin canvas below.
+const RiversPane = ({ riversData, highlightedBasins, popupContent, isLassoActive }) => {
   const map = useMap();
+  const renderer = useMemo(() => L.svg({ pane: 'rivers' }), []);
+  useEffect(() => () => map.removeLayer(renderer), [map, renderer]);
+
+  const styleFor = (feature) => riverStyle(feature, highlightedBasins);
+  // Feature handlers are bound once, so they read the latest style, popup and lasso state through refs
+  const styleRef = useRef(styleFor);
+  styleRef.current = styleFor;
+  const popupContentRef = useRef(popupContent);
+  popupContentRef.current = popupContent;
+  const isLassoActiveRef = useRef(isLassoActive);
+  isLassoActiveRef.current = isLassoActive;
 
-  useEffect(() => {
-    if (!showRivers || !riversData) return;
-
-    // Create or ensure the pane exists
-    const pane = map.getPane('rivers-pane') || map.createPane('rivers-pane');
-    pane.style.zIndex = 650; // Ensure the rivers are on top
-
-    // Create the rivers layer
-    const riversLayer = L.geoJSON(riversData, {
-      style: () => ({
-        ...riversStyle,
-        weight: 4, // Default weight for rivers
-      }),
-      onEachFeature: (feature, layer) => {
-        const riverName = feature.properties?.RIVER || 'Unnamed River';
-
-        layer.on({
-          mouseover: (e) => {
-            const targetLayer = e.target;
-            targetLayer.setStyle({
-              color: 'cyan', // Highlight color
-              weight: 10, // Highlight weight
-              opacity: 1, // Ensure visible
-            });
-            targetLayer.bindPopup(`<strong>River:</strong> ${riverName}`).openPopup();
-          },
-          mouseout: (e) => {
-            const targetLayer = e.target;
-            targetLayer.setStyle(riversStyle); // Reset to default style
-            targetLayer.closePopup();
-          },
-        });
+  const onEachFeature = (feature, layer) => {
+    layer.on({
+      mouseover: (e) => {
+        if (isLassoActiveRef.current) return;
+        layer.setStyle({ color: 'cyan', weight: 8 });
+        layer.bindPopup(popupContentRef.current(feature)).openPopup(e.latlng);
       },
-    }).addTo(map);
-
-    return () => {
-      // Remove the rivers layer and pane on cleanup
-      map.removeLayer(riversLayer);
-    };
-  }, [map, riversData, showRivers, riversStyle]);
+      mouseout: () => {
+        layer.setStyle(styleRef.current(feature));
+        layer.closePopup();
+      },
+    });
+  };
 
-  return null; // No direct rendering; managed dynamically
+  return (
+    <Pane name="rivers" style={{ zIndex: 450, pointerEvents: 'none' }}>
+      <GeoJSON data={riversData} style={styleFor} onEachFeature={onEachFeature} renderer={renderer} />
+    </Pane>
+  );
 };
 
 
-const Legend = ({ colorScale, property, isContinuous }) => {
+const Legend = ({ colorScale, title, isContinuous }) => {
   const map = useMap();
+  const { formatNumber } = useI18n();
 
   useEffect(() => {
     if (!colorScale) return;
@@ -157,27 +115,41 @@ const Legend = ({ colorScale, property, isContinuous }) => {
     legend.onAdd = () => {
       const div = L.DomUtil.create('div', 'info legend');
       const [min, mid, max] = colorScale.domain(); // Diverging scale domains (min, midpoint, max)
-      if (isContinuous) {
+      if (colorScale.breaks) {
+        // Classified scale: one swatch per class with its value range
+        const { breaks } = colorScale;
+        const rows = colorScale
+          .range()
+          .map(
+            (color, i) => `
+              <div style="display: flex; align-items: center; gap: 5px; font-size: 12px;">
+                <span style="background: ${color}; width: 20px; height: 10px; display: inline-block;"></span>
+                <span>${formatNumber(breaks[i])} – ${formatNumber(breaks[i + 1] ?? breaks[i])}</span>
+              </div>`
+          )
+          .join('');
+        div.innerHTML = `<h4>${escapeHtml(title.toUpperCase())}</h4>${rows}`;
+      } else if (isContinuous) {
         const [min, max] = colorScale.domain();
         // Continuous scale: gradient bar
         div.innerHTML = `
           <div>
-            <div style="background: linear-gradient(to right, #fee5d9, #a50f15 ); width: 100px; height: 10px;"></div>
+            <div style="background: ${scaleGradient(colorScale)}; width: 100px; height: 10px;"></div>
           </div>
           <div style="display: flex; justify-content: space-between; font-size: 12px;">
-            <span>${formatNumberWithCommas(min)}</span>
-            <span>${formatNumberWithCommas(max)}</span>
+            <span>${formatNumber(min)}</span>
+            <span>${formatNumber(max)}</span>
           </div>
         `;
       } else {
       // Create a gradient legend for diverging scales
       div.innerHTML = `
-        <h4>${property.toUpperCase()}</h4>
-        <div style="background: linear-gradient(to right, #2c7bb6, #ffffbf, #d7191c); width: 200px; height: 10px; margin-bottom: 5px;"></div>
+        <h4>${escapeHtml(title.toUpperCase())}</h4>
+        <div style="background: ${scaleGradient(colorScale)}; width: 200px; height: 10px; margin-bottom: 5px;"></div>
         <div style="display: flex; justify-content: space-between; font-size: 12px;">
-          <span>${formatNumberWithCommas(min)}</span>
-          <span>${formatNumberWithCommas(mid)}</span>
-          <span>${formatNumberWithCommas(max)}</span>
+          <span>${formatNumber(min)}</span>
+          <span>${formatNumber(mid)}</span>
+          <span>${formatNumber(max)}</span>
         </div>
       `;
       }
@@ -187,7 +159,7 @@ const Legend = ({ colorScale, property, isContinuous }) => {
     legend.addTo(map);
 
     return () => legend.remove();
-  }, [colorScale, map, property]);
+  }, [colorScale, map, title, isContinuous, formatNumber]);
 
   return null;
 };
@@ -195,69 +167,463 @@ const Legend = ({ colorScale, property, isContinuous }) => {
 
 
 
-// Main Map Component
-const Map = ({ geojsonData, onMapAreaSelect, selectedMapArea}) => {
-  const [selectedProperty, setSelectedProperty] = useState('population');
-  const [selectedMonth, setSelectedMonth] = useState('jan');
-  const [colorScale, setColorScale] = useState(null);
-  const [isContinuous, setIsContinuous] = useState(false);
-  const [monthlyGlobalMinMax, setMonthlyGlobalMinMax] = useState(null);
-  const [mapKey, setMapKey] = useState(0); // key to force re-mount of the MapContainer
-  const [riversData, setRiversData] = useState(null);
-  const [showRivers, setShowRivers] = useState(true); // State to toggle rivers layer
-  const [isSatellite, setIsSatellite] = useState(false); // State for map style toggle
+// Whether the map shows a position, within the precision kept in the URL
+const isAtPosition = (map, lat, lng, zoom) => {
+  const current = map.getCenter();
+  return map.getZoom() === zoom && Math.abs(current.lat - lat) < 1e-4 && Math.abs(current.lng - lng) < 1e-4;
+};
 
+// Keep the map position and the view state in sync in both directions
+const MapViewSync = ({ center, zoom, onViewChange }) => {
+  const map = useMap();
+  const [lat, lng] = center;
 
-  const defaultTileLayer = 'https://cartocdn_{s}.global.ssl.fastly.net/base-antique/{z}/{x}/{y}.png';
-  const satelliteTileLayer =
-    'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}';
+  // Move the map when the view changes from outside, e.g. back/forward navigation
+  useEffect(() => {
+    if (!isAtPosition(map, lat, lng, zoom)) {
+      map.setView([lat, lng], zoom);
+    }
+  }, [map, lat, lng, zoom]);
+
+  useMapEvents({
+    moveend: () => {
+      if (isAtPosition(map, lat, lng, zoom)) return;
+      const current = map.getCenter();
+      onViewChange({
+        center: [Number(current.lat.toFixed(4)), Number(current.lng.toFixed(4))],
+        zoom: map.getZoom(),
+      });
+    },
+  });
+
+  return null;
+};
+
+// Used when the tile provider list cannot be loaded, so the map still works offline
+const FALLBACK_TILE_PROVIDERS = {
+  defaultProvider: 'none',
+  providers: [{ id: 'none', label: 'No basemap', type: 'none' }],
+};
+
+const worldOutlineStyle = {
+  color: '#9c8f7a',
+  weight: 1,
+  fillColor: '#f5efe0',
+  fillOpacity: 1,
+};
+
+// Bundled world land outline for the "no basemap" mode, loaded only when that mode is used
+const WorldOutline = () => {
+  const [land, setLand] = useState(null);
+
+  useEffect(() => {
+    import('world-atlas/land-110m.json')
+      .then(({ default: topology }) => setLand(topojson.feature(topology, topology.objects.land)))
+      .catch((error) => console.error('Error loading world outline:', error));
+  }, []);
+
+  if (!land) return null;
+
+  // Own pane between the tile pane and the basins so it always draws underneath them
+  return (
+    <Pane name="world-outline" style={{ zIndex: 250 }}>
+      <GeoJSON data={land} style={worldOutlineStyle} interactive={false} attribution="Natural Earth" />
+    </Pane>
+  );
+};
+
+// Fly to a search result's bounds once per new target
+const FlyToBounds = ({ target }) => {
+  const map = useMap();
 
-  // Attribution for tile layers
-  const defaultAttribution = '&copy; OpenStreetMap contributors';
-  const satelliteAttribution = 'Tiles &copy; Esri &mdash; Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community';
   useEffect(() => {
-    if (geojsonData) {
-      const { min, max } = calculateMonthlyGlobalMinMax(geojsonData);
-      setMonthlyGlobalMinMax({ min, max });
+    if (target) {
+      map.flyToBounds(bboxToLatLngBounds(target.bbox), { padding: [20, 20], maxZoom: 8 });
     }
-  }, [geojsonData]);
+  }, [map, target]);
+
+  return null;
+};
+
+// Simplified geometry of one layer (`basins` or `rivers`) at a level of detail. Each level
+// is fetched once, and the last loaded level stays on screen while another one loads.
+const useSimplifiedLayer = (layer, level) => {
+  const cacheRef = useRef({});
+  const [shapes, setShapes] = useState(null); // { level, data }
+
+  useEffect(() => {
+    if (cacheRef.current[level]) {
+      setShapes({ level, data: cacheRef.current[level] });
+      return;
+    }
+    let cancelled = false;
+    fetch(`/api/topology/${layer}?level=${level}`)
+      .then(async (response) => {
+        const topology = await response.json();
+        if (!response.ok) throw new Error(topology.error);
+        return topojson.feature(topology, topology.objects[layer]);
+      })
+      .then((data) => {
+        cacheRef.current[level] = data;
+        if (!cancelled) setShapes({ level, data });
+      })
+      .catch((error) => console.error(`Error loading ${layer} geometry:`, error));
+    return () => {
+      cancelled = true; // Zoomed on before this level arrived
+    };
+  }, [layer, level]);
+
+  return shapes;
+};
+
+// Fit the map to a basin picked in another view and open its popup, once per pick
+const FocusBasin = ({ focus, layerRef, handledRef, popupContent }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    // Wait for the basin layer; it appears once the color scale is ready
+    if (!focus || handledRef.current === focus.id || !layerRef.current) return;
+    handledRef.current = focus.id;
+    if (!focus.zoom) return;
+
+    const target = layerRef.current.getLayers().find((layer) => layer.feature.properties.RIVERBASIN === focus.basin);
+    if (!target) return;
+
+    // Open the popup after the flight, as opening it earlier would pan the map mid-flight
+    map.once('moveend', () => target.bindPopup(popupContent(target.feature)).openPopup());
+    map.flyToBounds(target.getBounds(), { padding: [20, 20], maxZoom: 8 });
+  }, [map, focus, layerRef, handledRef, popupContent]);
+
+  return null;
+};
+
+const ARROW_DIRECTIONS = { ArrowLeft: 'left', ArrowRight: 'right', ArrowUp: 'up', ArrowDown: 'down' };
+
+// Keyboard access to the basins, which are drawn on a canvas and can't take focus
+// themselves. With the map focused, the arrow keys move the selection to the nearest
+// basin in that direction (starting from the one nearest the map center), Enter or Space
+// pins it, Escape clears the selection and + / - zoom. Leaflet's own arrow-key panning
+// is turned off; the map pans to keep the selected basin in view instead.
+const KeyboardNavigation = ({ layerRef, points, selectedBasin, onSelect, onPin, popupContent, label }) => {
+  const map = useMap();
+  const latestRef = useRef(null);
+  latestRef.current = { points, selectedBasin, onSelect, onPin, popupContent };
+
+  useEffect(() => {
+    const container = map.getContainer();
+    container.tabIndex = 0;
+    container.setAttribute('role', 'application');
+    container.setAttribute('aria-label', label);
+  }, [map, label]);
+
+  useEffect(() => {
+    const container = map.getContainer();
+
+    const showBasin = (basin) => {
+      latestRef.current.onSelect(basin);
+      const target = layerRef.current
+        ?.getLayers()
+        .find((layer) => layer.feature.properties.RIVERBASIN === basin);
+      if (!target) return;
+      map.panInside(target.getBounds().getCenter(), { padding: [40, 40] });
+      target.bindPopup(latestRef.current.popupContent(target.feature), { autoPan: false }).openPopup();
+    };
+
+    const onKeyDown = (e) => {
+      // Keys typed into the map's own controls (search, selects) keep their usual meaning
+      if (e.target !== container) return;
+      const { points, selectedBasin, onPin } = latestRef.current;
+
+      if (ARROW_DIRECTIONS[e.key]) {
+        e.preventDefault();
+        const current = points.find((entry) => entry.id === selectedBasin);
+        const { lng, lat } = map.getCenter();
+        const next = current
+          ? nearestInDirection(points, current.point, ARROW_DIRECTIONS[e.key])
+          : d3.least(points, (entry) => Math.hypot(entry.point[0] - lng, entry.point[1] - lat));
+        if (next) showBasin(next.id);
+      } else if ((e.key === 'Enter' || e.key === ' ') && selectedBasin) {
+        e.preventDefault();
+        onPin(selectedBasin);
+      } else if (e.key === 'Escape') {
+        latestRef.current.onSelect(null);
+        map.closePopup();
+      } else if (e.key === '+' || e.key === '=') {
+        map.zoomIn();
+      } else if (e.key === '-' || e.key === '_') {
+        map.zoomOut();
+      }
+    };
+
+    container.addEventListener('keydown', onKeyDown);
+    return () => container.removeEventListener('keydown', onKeyDown);
+  }, [map, layerRef]);
+
+  return null;
+};
+
+// Lasso for grouping basins into a region: while active, dragging on the map draws a
+// freehand outline instead of panning, and releasing calls onComplete with the closed
+// [lon, lat] ring. Escape cancels.
+const LassoTool = ({ active, onComplete, onCancel }) => {
+  const map = useMap();
+  const latestRef = useRef(null);
+  latestRef.current = { onComplete, onCancel };
+
+  useEffect(() => {
+    if (!active) return;
+    const container = map.getContainer();
+    let points = null;
+    let outline = null;
+
+    const start = (e) => {
+      points = [e.latlng];
+      outline = L.polyline(points, { color: '#0072B2', weight: 2, dashArray: '4 4', interactive: false }).addTo(map);
+    };
+    const extend = (e) => {
+      if (!points) return;
+      points.push(e.latlng);
+      outline.setLatLngs(points);
+    };
+    const finish = () => {
+      if (!points) return;
+      const ring = points.map(({ lng, lat }) => [lng, lat]);
+      points = null;
+      outline.remove();
+      if (ring.length >= 3) latestRef.current.onComplete([...ring, ring[0]]);
+    };
+    const cancel = (e) => {
+      if (e.key !== 'Escape') return;
+      points = null;
+      outline?.remove();
+      latestRef.current.onCancel();
+    };
+
+    map.dragging.disable();
+    container.style.cursor = 'crosshair';
+    map.on('mousedown', start);
+    map.on('mousemove', extend);
+    map.on('mouseup', finish);
+    document.addEventListener('keydown', cancel);
+    return () => {
+      map.off('mousedown', start);
+      map.off('mousemove', extend);
+      map.off('mouseup', finish);
+      document.removeEventListener('keydown', cancel);
+      outline?.remove();
+      map.dragging.enable();
+      container.style.cursor = '';
+    };
+  }, [map, active]);
+
+  return null;
+};
+
+const regionStyle = { color: '#0072B2', weight: 2, dashArray: '6 4', fill: false };
+
+// Main Map Component. The view (property, month, toggles, position) is controlled by the parent.
+const Map = ({
+  geojsonData,
+  metrics = [],
+  view,
+  onViewChange,
+  onMapAreaSelect,
+  selectedMapArea,
+  pinnedBasins = [],
+  onMapAreaPin,
+  onBasinFound,
+  focusedBasin = null,
+  matchingBasins = null,
+  years = [],
+  selectedYear = null,
+  difference = false, // geojsonData holds scenario minus baseline values
+  regionShapes = null, // FeatureCollection of the drawn and uploaded region outlines
+  onLassoSelect, // Called with the [lon, lat] ring of a completed lasso
+}) => {
+  const { property: selectedProperty, month: selectedMonth, rivers: showRivers } = view;
+  const [isPlaying, setIsPlaying] = useState(false); // Timeline playback through months and years
+  const { t, formatNumber, monthLabels } = useI18n();
+  const [colorScale, setColorScale] = useState(null);
+  const [isContinuous, setIsContinuous] = useState(false);
+  const [flyTarget, setFlyTarget] = useState(null); // { bbox } of the last search result
+  const [isLassoActive, setIsLassoActive] = useState(false);
+  const [tileProviders, setTileProviders] = useState(null); // { defaultProvider, providers } from /api/tiles
+  const basinLayerRef = useRef(null);
+  const handledFocusRef = useRef(null); // Id of the last picked basin the map has followed
+
+  // The map draws server-simplified shapes for its zoom and looks up each basin's
+  // current data by name, so new data or a new property only restyles the layer
+  const detailLevel = detailLevelForZoom(view.zoom);
+  const basinShapes = useSimplifiedLayer('basins', detailLevel);
+  const riverShapes = useSimplifiedLayer('rivers', detailLevel);
+  const riversData = riverShapes?.data ?? null;
+  const basinPropertiesByName = useMemo(
+    // globalThis, as `Map` is this component
+    () => new globalThis.Map((geojsonData?.features ?? []).map((f) => [f.properties.RIVERBASIN, f.properties])),
+    [geojsonData]
+  );
+  // Center of each basin, for moving between basins with the arrow keys
+  const basinPoints = useMemo(
+    () =>
+      (basinShapes?.data.features ?? []).map((feature) => ({
+        id: feature.properties.RIVERBASIN,
+        point: bboxCenter(computeBbox(feature.geometry)),
+      })),
+    [basinShapes]
+  );
+  const basinProperties = (feature) =>
+    basinPropertiesByName.get(feature.properties.RIVERBASIN) ?? feature.properties;
+
+  // Basemap chosen in the view, falling back to the configured default
+  const basemap =
+    tileProviders &&
+    (tileProviders.providers.find((p) => p.id === view.basemap) ||
+      tileProviders.providers.find((p) => p.id === tileProviders.defaultProvider) ||
+      tileProviders.providers[0]);
+
+  // Property shown on the map; monthly values are keyed by year in multi-year datasets
+  const propertyToView =
+    selectedProperty === 'monthly' ? monthProperty(selectedMonth, selectedYear) : selectedProperty;
+
+  // Metrics that can be mapped; ones whose expression failed to compile are left out
+  const mappableMetrics = metrics.filter((metric) => !metric.error);
+  const selectedMetric = mappableMetrics.find((metric) => metric.id === selectedProperty);
+  // Metrics whose expression failed keep their name, though the map cannot show them
+  const namedMetric = metrics.find((metric) => metric.id === selectedProperty);
+  const propertyName = namedMetric
+    ? namedMetric.label
+    : selectedProperty === 'monthly'
+      ? `${monthLabels[MONTHS.indexOf(selectedMonth)]}${selectedYear ? ` ${selectedYear}` : ''}`
+      : t(`property.${selectedProperty}`);
+  const propertyLabel = `${difference ? 'Δ ' : ''}${propertyName}`;
+
+  const { classification, classes, midpointType, midpoint } = view;
+  const palette = getPalette(view.palette);
+
+  // Midpoint a newly chosen midpoint type starts from: the 30th percentile, or the data's
+  // median as a fixed value, since a fraction is meaningless in the property's units
+  const initialMidpoint = (type) => {
+    if (type === 'percentile') return 0.3;
+    if (type === 'fixed') return d3.median(getPropertyValues(geojsonData, propertyToView)) ?? 0;
+    return midpoint;
+  };
 
   useEffect(() => {
-    let propertyToView = selectedProperty === 'monthly' ? selectedMonth : selectedProperty;
     if (geojsonData && propertyToView) {
+      const isMonthly = selectedProperty === 'monthly';
       let scale;
-      if (selectedProperty === 'monthly' && monthlyGlobalMinMax) {
-        scale = createFixedContinuousColorScale(monthlyGlobalMinMax.min, monthlyGlobalMinMax.max);
-        setIsContinuous(true);
+      if (difference) {
+        // Differences diverge from zero, symmetrically so gains and losses of the same size
+        // get equally strong colors; monthly ones span all months like the timeline does
+        const values = isMonthly ? getAllMonthlyValues(geojsonData) : getPropertyValues(geojsonData, propertyToView);
+        const extent = d3.max(values, Math.abs) || 1;
+        scale = d3.scaleDiverging([-extent, 0, extent], palette.diverging);
+        setIsContinuous(false);
+      } else if (isMonthly) {
+        // Shared with the bar chart, which colors each month's bar the same way
+        scale = createMonthlyColorScale(geojsonData, palette, classification, classes);
+        setIsContinuous(classification === 'continuous');
+      } else if (classification !== 'continuous') {
+        const values = getPropertyValues(geojsonData, propertyToView);
+        scale = createClassifiedColorScale(values, palette, classification, classes, true, midpointType, midpoint);
+        setIsContinuous(false);
       } else {
-        scale = createQuantileColorScale(geojsonData, propertyToView);
+        const values = getPropertyValues(geojsonData, propertyToView);
+        scale = createDivergingColorScale(values, palette, midpointType, midpoint);
         setIsContinuous(false);
       }
       setColorScale(() => scale);
     }
-  }, [geojsonData, selectedProperty, selectedMonth, monthlyGlobalMinMax]);
-
-  // Force full map reload when property changes
+  }, [
+    geojsonData,
+    selectedProperty,
+    propertyToView,
+    classification,
+    classes,
+    midpointType,
+    midpoint,
+    palette,
+    difference,
+  ]);
+
+  // Advance one month per tick while playing, rolling over into the next year
   useEffect(() => {
-    setMapKey((prevKey) => prevKey + 1);
-  }, [selectedProperty]);
+    if (!isPlaying) return;
+
+    const timer = setInterval(() => {
+      const monthIndex = MONTHS.indexOf(selectedMonth);
+      let year = selectedYear;
+      if (monthIndex === MONTHS.length - 1 && years.length > 0) {
+        year = years[(years.indexOf(selectedYear) + 1) % years.length];
+      }
+      // Playback frames replace the current history entry instead of adding one each
+      onViewChange({ month: MONTHS[(monthIndex + 1) % MONTHS.length], year }, { replace: true });
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [isPlaying, selectedMonth, selectedYear, years, onViewChange]);
+
+  const basinStyle = (feature) =>
+    geoJSONStyle(colorScale, propertyToView, basinProperties(feature), selectedMapArea, pinnedBasins, matchingBasins);
+
+  // Popup HTML for a basin: the mapped value, then every other derived metric
+  const basinPopupContent = (feature) => {
+    const properties = basinProperties(feature);
+    const formattedValue = formatMetricValue(selectedMetric, properties[propertyToView], formatNumber, t('common.noData'));
+    const basinName = properties.RIVERBASIN || t('map.unknownBasin');
+    const metricRows = mappableMetrics
+      .filter((metric) => metric !== selectedMetric)
+      .map((metric) =>
+        escapeHtml(`${metric.label}: ${formatMetricValue(metric, properties[metric.id], formatNumber, t('common.noData'))}`)
+      )
+      .join('<br/>');
+
+    return (
+      `<strong>${escapeHtml(t('map.popupBasin'))}:</strong> ${escapeHtml(basinName)}<br/>` +
+      `<strong>${escapeHtml(propertyLabel)}:</strong> ${escapeHtml(formattedValue)}` +
+      `<div style="font-size: 11px; color: #555;">${metricRows}</div>`
+    );
+  };
+
+  // Popup HTML for a river: the basins it crosses with their annual scarcity
+  const riverPopupContent = (feature) => {
+    const riverName = feature.properties.RIVER || t('map.unnamedRiver');
+    const basinRows = (feature.properties.basins ?? [])
+      .map((name) => {
+        const properties = basinPropertiesByName.get(name);
+        const scarcity = properties ? getAnnualAverage(properties, selectedYear) : null;
+        return escapeHtml(`${name}: ${scarcity === null || scarcity === undefined ? t('common.noData') : formatNumber(scarcity)}`);
+      })
+      .join('<br/>');
+
+    return (
+      `<strong>${escapeHtml(t('map.popupRiver'))}:</strong> ${escapeHtml(riverName)}` +
+      (basinRows
+        ? `<div style="font-size: 11px; color: #555;"><strong>${escapeHtml(t('map.basinScarcity'))}</strong><br/>${basinRows}</div>`
+        : '')
+    );
+  };
+
+  // Rivers of the hovered or picked basin and of pinned basins are highlighted
+  const highlightedBasins = selectedMapArea ? [...pinnedBasins, selectedMapArea] : pinnedBasins;
+
+  // Feature handlers are bound once per layer and the layer outlives property and data
+  // changes, so they call the latest styles, popups and callbacks through this ref
+  const latestRef = useRef(null);
+  latestRef.current = { basinStyle, basinPopupContent, onMapAreaPin, onMapAreaSelect, isLassoActive };
 
   const onEachFeature = (feature, layer) => {
     const updateStyle = () => {
-      const propertyToDisplay = selectedProperty === 'monthly' ? selectedMonth : selectedProperty;
-      const style = geoJSONStyle(colorScale, propertyToDisplay, feature);
-      layer.setStyle(style);
+      layer.setStyle(latestRef.current.basinStyle(feature));
     };
 
-    const propertyToDisplay = selectedProperty === 'monthly' ? selectedMonth : selectedProperty;
-    const propertyValue = feature.properties[propertyToDisplay] || 'No Data';
-    const formattedValue =
-      propertyValue !== 'No Data' ? formatNumberWithCommas(propertyValue) : propertyValue;
-    const basinName = feature.properties.RIVERBASIN || 'Unknown Basin';
-
     layer.on({
+      click: () => {
+        if (latestRef.current.isLassoActive) return; // The click ends a lasso drawn over the basin
+        latestRef.current.onMapAreaPin(feature.properties.RIVERBASIN); // Pin or unpin the basin for comparison
+      },
       mouseover: (e) => {
-        onMapAreaSelect(feature.properties.RIVERBASIN);  // Notify parent of selected area
+        latestRef.current.onMapAreaSelect(feature.properties.RIVERBASIN);  // Notify parent of selected area
         const layer = e.target;
         layer.setStyle({
           weight: 5,
@@ -265,9 +631,7 @@ const Map = ({ geojsonData, onMapAreaSelect, selectedMapArea}) => {
           dashArray: '',
           fillOpacity: 0.9,
         });
-        layer.bindPopup(
-          `<strong>Basin:</strong> ${basinName}<br/><strong>${propertyToDisplay}:</strong> ${formattedValue}`
-        );
+        layer.bindPopup(latestRef.current.basinPopupContent(feature));
         layer.openPopup();
       },
       mouseout: () => {
@@ -275,7 +639,7 @@ const Map = ({ geojsonData, onMapAreaSelect, selectedMapArea}) => {
         layer.closePopup();
 
       // Clear selected area
-      onMapAreaSelect(null);
+      latestRef.current.onMapAreaSelect(null);
 
       },
     });
@@ -284,54 +648,187 @@ const Map = ({ geojsonData, onMapAreaSelect, selectedMapArea}) => {
   };
 
 
+  // Select a search result's basin, which the map then fits. Rivers fly to their own
+  // bounds and select the enclosing basin, when known, without zooming to it.
+  const onSearchSelect = (entry) => {
+    if (entry.type === 'river' && entry.bbox) {
+      setFlyTarget({ bbox: entry.bbox }); // A new object, so choosing a result again flies again
+    }
+    if (entry.basin) onBasinFound(entry.basin, { zoom: entry.type === 'basin' });
+  };
+
   useEffect(() => {
-    // Load GeoJSON from the public folder
-    fetch('/river.json')
-      .then((response) => response.json())
-      .then((data) => setRiversData(data))
-      .catch((error) => console.error('Error loading river GeoJSON:', error));
+    fetch('/api/tiles')
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+        setTileProviders(data);
+      })
+      .catch((error) => {
+        console.error('Error loading tile providers:', error);
+        setTileProviders(FALLBACK_TILE_PROVIDERS);
+      });
   }, []);
 
   return (
     <div className={styles.mapContainer}>
       {/* UI Controls */}
       <div  className={styles.uiControlsContainer}>
+      <div className={styles.uiControls}>
+        <BasinSearch geojsonData={geojsonData} riversData={riversData} onSelect={onSearchSelect} />
+        {basemap && (
+          <select
+            id="basemap-select"
+            value={basemap.id}
+            title={t('map.basemap')}
+            aria-label={t('map.basemap')}
+            onChange={(e) => onViewChange({ basemap: e.target.value })}
+            style={{ marginTop: '5px', width: '100%' }}
+          >
+            {tileProviders.providers.map((provider) => (
+              <option key={provider.id} value={provider.id}>
+                {provider.type === 'none' ? t('map.noBasemap') : provider.label}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
       {/* Toggle Button for Rivers */}
       
       <div className={styles.toggleContainer}>
-        <button
-            onClick={() => setIsSatellite(!isSatellite)}
-            className={`${styles.toggleButton} ${isSatellite ? styles.activeButton : ''}`}
+          <button
+            id="rivers-toggle"
+            className={`${styles.toggleButton} ${showRivers ? styles.activeButton : ''}`}
+            onClick={() => onViewChange({ rivers: !showRivers })} // Toggle the state
+            aria-label={t('map.rivers')}
+            aria-pressed={showRivers}
+            title={t('map.rivers')}
           >
-            {isSatellite ? <FontAwesomeIcon icon={faMap} />: <FontAwesomeIcon icon={faSatellite} />}
+            <FontAwesomeIcon icon={faWater} aria-hidden="true" /> {/* Water Icon */}
           </button>
           <button
-            className={`${styles.toggleButton} ${showRivers ? styles.activeButton : ''}`}
-            onClick={() => setShowRivers(!showRivers)} // Toggle the state
+            id="lasso-toggle"
+            className={`${styles.toggleButton} ${isLassoActive ? styles.activeButton : ''}`}
+            onClick={() => setIsLassoActive(!isLassoActive)}
+            aria-label={t('map.lasso')}
+            aria-pressed={isLassoActive}
+            title={t('map.lasso')}
           >
-            {showRivers ? <>
-          <FontAwesomeIcon icon={faWater} /> {/* Water Icon */}
-        </>: <FontAwesomeIcon icon={faWater} />} {/* Change text based on state */}
+            <FontAwesomeIcon icon={faDrawPolygon} aria-hidden="true" />
           </button>
         </div>
 
       <div className={styles.uiControls}>
-        <label htmlFor="property-select"></label>
+        <label htmlFor="property-select" className="sr-only">
+          {t('map.property')}
+        </label>
         <select
           id="property-select"
           value={selectedProperty}
-          onChange={(e) => setSelectedProperty(e.target.value)}
+          onChange={(e) => {
+            onViewChange({ property: e.target.value });
+            setIsPlaying(false);
+          }}
         >
-          <option value="population">Population</option>
-          <option value="average">Average Scarcity</option>
-          <option value="monthly">Monthly Data</option>
+          <option value="population">{t('property.population')}</option>
+          <option value="average">{t('property.average')}</option>
+          <option value="monthly">{t('property.monthly')}</option>
+          {mappableMetrics.length > 0 && (
+            <optgroup label={t('map.derivedMetrics')}>
+              {mappableMetrics.map((metric) => (
+                <option key={metric.id} value={metric.id}>
+                  {metric.label}
+                </option>
+              ))}
+            </optgroup>
+          )}
         </select>
+        {difference ? (
+          <span title={t('map.differenceTitle')}>{t('map.difference')}</span>
+        ) : (
+          <select
+            id="classification-select"
+            value={classification}
+            aria-label={t('map.classification')}
+            onChange={(e) => onViewChange({ classification: e.target.value })}
+          >
+            {Object.keys(CLASSIFICATION_METHODS).map((method) => (
+              <option key={method} value={method}>
+                {t(`classification.${method}`)}
+              </option>
+            ))}
+          </select>
+        )}
+        {!difference && classification !== 'continuous' && (
+          <input
+            id="classes-input"
+            type="number"
+            min="2"
+            max="9"
+            value={classes}
+            title={t('map.classes')}
+            aria-label={t('map.classes')}
+            onChange={(e) => onViewChange({ classes: Math.min(Math.max(Number(e.target.value) || 2, 2), 9) })}
+            style={{ width: '45px' }}
+          />
+        )}
+        {!difference && selectedProperty !== 'monthly' && (
+          <>
+            <select
+              id="midpoint-select"
+              value={midpointType}
+              title={t('map.midpoint')}
+              aria-label={t('map.midpoint')}
+              onChange={(e) => onViewChange({ midpointType: e.target.value, midpoint: initialMidpoint(e.target.value) })}
+            >
+              {Object.keys(MIDPOINT_TYPES).map((type) => (
+                <option key={type} value={type}>
+                  {t(`midpoint.${type}`)}
+                </option>
+              ))}
+            </select>
+            {midpointType !== 'mean' && (
+              <input
+                id="midpoint-input"
+                type="number"
+                step={midpointType === 'percentile' ? 0.05 : 'any'}
+                min={midpointType === 'percentile' ? 0 : undefined}
+                max={midpointType === 'percentile' ? 1 : undefined}
+                value={midpoint}
+                title={midpointType === 'percentile' ? t('map.midpointPercentile') : t('map.midpointValue')}
+                aria-label={midpointType === 'percentile' ? t('map.midpointPercentile') : t('map.midpointValue')}
+                onChange={(e) => {
+                  // A cleared or invalid field leaves the midpoint as it is, rather than 0
+                  const value = e.target.value === '' ? NaN : Number(e.target.value);
+                  if (Number.isFinite(value)) onViewChange({ midpoint: value });
+                }}
+                style={{ width: '80px' }}
+              />
+            )}
+          </>
+        )}
       </div>
 
       {selectedProperty === 'monthly' && (
         <div className={styles.uicontrolsbars}>
+          {years.length > 0 && (
+            <select
+              id="year-select"
+              value={selectedYear ?? ''}
+              aria-label={t('map.year')}
+              onChange={(e) => onViewChange({ year: Number(e.target.value) })}
+            >
+              {years.map((year) => (
+                <option key={year} value={year}>
+                  {year}
+                </option>
+              ))}
+            </select>
+          )}
           <div className="rangeControl">
-          <label htmlFor="month-select"></label>
+          <label htmlFor="month-select" className="sr-only">
+            {t('map.month')}
+          </label>
           <input
             id="month-select"
             type="range"
@@ -339,53 +836,110 @@ const Map = ({ geojsonData, onMapAreaSelect, selectedMapArea}) => {
             max="11"
             step="1"
             value={MONTHS.indexOf(selectedMonth)}
-            onChange={(e) => setSelectedMonth(MONTHS[e.target.value])}
+            aria-valuetext={`${monthLabels[MONTHS.indexOf(selectedMonth)]}${selectedYear ? ` ${selectedYear}` : ''}`}
+            onChange={(e) => onViewChange({ month: MONTHS[e.target.value] })}
           />
-          <span>{selectedMonth.toUpperCase()}</span>
+          <span>{selectedMonth.toUpperCase()}{selectedYear ? ` ${selectedYear}` : ''}</span>
           </div>
+          <button
+            id="timeline-play"
+            className={`${styles.toggleButton} ${isPlaying ? styles.activeButton : ''}`}
+            onClick={() => setIsPlaying(!isPlaying)}
+            aria-label={isPlaying ? t('map.pause') : t('map.play')}
+            title={isPlaying ? t('map.pause') : t('map.play')}
+          >
+            <FontAwesomeIcon icon={isPlaying ? faPause : faPlay} aria-hidden="true" />
+          </button>
         </div>
       
       )}
       </div>
 
-      {/* Single MapContainer that is reloaded on property changes */}
-      <MapContainer key={mapKey} center={[40, 40]} zoom={2} style={{ height: '100vh', width: '100%' }}>
-      {/* Toggleable TileLayer */}
-      {isSatellite ? (
-          <TileLayer url={satelliteTileLayer} attribution={satelliteAttribution} />
-        ) : (
-          <TileLayer url={defaultTileLayer} attribution={defaultAttribution} />
+      {/* Canvas draws the basins far faster than SVG; the map stays mounted across view changes */}
+      <MapContainer
+        preferCanvas
+        keyboard={false} // Arrow keys move between basins instead, see KeyboardNavigation
+        center={view.center}
+        zoom={view.zoom}
+        style={{ height: '100vh', width: '100%', background: basemap?.type === 'none' ? '#d4e6f1' : undefined }} // Sea color without tiles
+      >
+        <MapViewSync center={view.center} zoom={view.zoom} onViewChange={onViewChange} />
+        <FlyToBounds target={flyTarget} />
+        <LassoTool
+          active={isLassoActive}
+          onComplete={(ring) => {
+            setIsLassoActive(false);
+            onLassoSelect(ring);
+          }}
+          onCancel={() => setIsLassoActive(false)}
+        />
+        <KeyboardNavigation
+          layerRef={basinLayerRef}
+          points={basinPoints}
+          selectedBasin={selectedMapArea}
+          onSelect={onMapAreaSelect}
+          onPin={onMapAreaPin}
+          popupContent={basinPopupContent}
+          label={t('map.keyboardLabel')}
+        />
+        <FocusBasin
+          focus={focusedBasin}
+          layerRef={basinLayerRef}
+          handledRef={handledFocusRef}
+          popupContent={basinPopupContent}
+        />
+
+        {/* Basemap from the tile provider registry */}
+        {basemap && basemap.type !== 'none' && (
+          <TileLayer
+            key={basemap.id} // TileLayer only updates its url, so remount to change attribution and zoom limits
+            url={basemap.url}
+            attribution={basemap.attribution}
+            minZoom={basemap.minZoom}
+            maxZoom={basemap.maxZoom}
+          />
         )}
+        {basemap?.type === 'none' && <WorldOutline />}
 
 
         
 
         {/* Polygon Layer */}
-        {colorScale && (
+        {colorScale && basinShapes && (
           <GeoJSON
-            key={`${selectedProperty}-${mapKey}`} // Ensure unique key for re-renders
-            data={geojsonData}
-            style={(feature) =>
-              geoJSONStyle(
-                colorScale,
-                selectedProperty === 'monthly' ? selectedMonth : selectedProperty,
-                feature,
-                selectedMapArea,
-                showRivers 
-              )
-            }
+            key={basinShapes.level} // GeoJSON layers ignore new data, so remount for another level of detail
+            ref={basinLayerRef}
+            data={basinShapes.data}
+            style={basinStyle}
             onEachFeature={onEachFeature}
           />
         )}
 
+        {/* Region outlines, above the basins and not interactive */}
+        {regionShapes && regionShapes.features.length > 0 && (
+          <GeoJSON
+            key={regionShapes.features.map((feature) => feature.id).join('|')} // Remount when regions change
+            data={regionShapes}
+            style={regionStyle}
+            interactive={false}
+          />
+        )}
+
         {/* Rivers Layer */}
-        <RiversPane riversData={riversData} riversStyle={riversStyle} showRivers={showRivers} />
+        {showRivers && riversData && (
+          <RiversPane
+            riversData={riversData}
+            highlightedBasins={highlightedBasins}
+            popupContent={riverPopupContent}
+            isLassoActive={isLassoActive}
+          />
+        )}
 
         {/* Legend */}
         {colorScale && (
           <Legend
             colorScale={colorScale}
-            property={selectedProperty === 'monthly' ? selectedMonth : selectedProperty}
+            title={propertyLabel}
             isContinuous={isContinuous}
           />
         )}
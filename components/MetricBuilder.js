@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { compileExpression } from '../lib/expression';
+import { useI18n } from '../lib/i18n';
+
+// Property names set in code in the expression help, in place of its message's
+// {examples} and {bracketed} placeholders
+const HELP_EXAMPLES = {
+  examples: (
+    <>
+      <code>population</code>, <code>average</code>, <code>jan</code>
+    </>
+  ),
+  bracketed: <code>[2010_jan]</code>,
+};
+
+// Builder for derived metrics: the scarcity thresholds and user-typed expressions over
+// feature properties. The severe threshold is the cutoff of "months above threshold";
+// both thresholds are drawn as lines in the bar chart. Built-in metrics need no setup.
+const MetricBuilder = ({
+  metrics,
+  threshold,
+  defaultThreshold,
+  onThresholdChange,
+  moderateThreshold,
+  defaultModerateThreshold,
+  onModerateThresholdChange,
+  onAdd,
+  onRemove,
+}) => {
+  const [label, setLabel] = useState('');
+  const [expression, setExpression] = useState('');
+  const [error, setError] = useState(null);
+  const { t, formatNumber } = useI18n();
+
+  const customMetrics = metrics.filter((m) => m.custom);
+
+  const addMetric = (e) => {
+    e.preventDefault();
+    if (!label.trim()) {
+      setError(t('metrics.nameRequired'));
+      return;
+    }
+    try {
+      compileExpression(expression);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    onAdd({ label: label.trim(), expression: expression.trim() });
+    setLabel('');
+    setExpression('');
+    setError(null);
+  };
+
+  return (
+    <details className="metric-builder" style={{ position: 'relative', display: 'inline-block' }}>
+      <summary style={{ cursor: 'pointer', padding: '5px 10px', backgroundColor: '#f5e6d0', borderRadius: '5px' }}>
+        {t('metrics.title')}
+      </summary>
+      <div
+        style={{
+          position: 'absolute',
+          right: 0,
+          zIndex: 1000,
+          width: '340px',
+          padding: '10px',
+          backgroundColor: '#fff',
+          border: '1px solid #ccc',
+          borderRadius: '5px',
+          boxShadow: '0 2px 10px rgba(0, 0, 0, 0.2)',
+          fontSize: '14px',
+        }}
+      >
+        <label style={{ display: 'block', marginBottom: '5px' }}>
+          {t('metrics.moderateFrom')}{' '}
+          <input
+            type="number"
+            step="any"
+            value={moderateThreshold ?? ''}
+            placeholder={formatNumber(defaultModerateThreshold)}
+            onChange={(e) => onModerateThresholdChange(e.target.value === '' ? null : Number(e.target.value))}
+            style={{ width: '80px' }}
+          />
+        </label>
+        <label style={{ display: 'block', marginBottom: '10px' }}>
+          {t('metrics.severeFrom')}{' '}
+          <input
+            type="number"
+            step="any"
+            value={threshold ?? ''}
+            placeholder={formatNumber(defaultThreshold)}
+            onChange={(e) => onThresholdChange(e.target.value === '' ? null : Number(e.target.value))}
+            style={{ width: '80px' }}
+          />
+        </label>
+
+        {customMetrics.length > 0 && (
+          <ul style={{ listStyle: 'none', padding: 0, margin: '0 0 10px' }}>
+            {customMetrics.map((metric, i) => (
+              <li key={metric.id} style={{ marginBottom: '5px' }}>
+                <strong>{metric.label}</strong> = <code>{metric.expression}</code>{' '}
+                <button onClick={() => onRemove(i)} aria-label={t('metrics.remove', { label: metric.label })}>
+                  ×
+                </button>
+                {metric.error && <div style={{ color: '#a50f15' }}>{metric.error}</div>}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <form onSubmit={addMetric}>
+          <label style={{ display: 'block', marginBottom: '5px' }}>
+            {t('metrics.name')}
+            <input
+              type="text"
+              placeholder={t('metrics.namePlaceholder')}
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+              style={{ display: 'block', width: '100%' }}
+            />
+          </label>
+          <label style={{ display: 'block', marginBottom: '5px' }}>
+            {t('metrics.expression')}
+            <input
+              type="text"
+              placeholder={t('metrics.expressionPlaceholder')}
+              value={expression}
+              onChange={(e) => setExpression(e.target.value)}
+              style={{ display: 'block', width: '100%', fontFamily: 'monospace' }}
+            />
+          </label>
+          {error && <div style={{ color: '#a50f15', marginBottom: '5px' }}>{error}</div>}
+          <button type="submit">{t('metrics.add')}</button>
+          <p style={{ fontSize: '12px', color: '#666', margin: '5px 0 0' }}>
+            {t('metrics.help')
+              .split(/\{(\w+)\}/)
+              .map((part, i) => (i % 2 ? <React.Fragment key={i}>{HELP_EXAMPLES[part]}</React.Fragment> : part))}
+          </p>
+        </form>
+      </div>
+    </details>
+  );
+};
+
+export default MetricBuilder;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { useI18n } from '../lib/i18n';
+
+// Removable chips for the basins pinned by clicking on the map or treemap
+const PinnedBasins = ({ pinnedBasins, onUnpin, onClear }) => {
+  const { t } = useI18n();
+  if (pinnedBasins.length === 0) {
+    return (
+      <div className="pinned-basins" style={{ padding: '5px 0', color: '#4e4e4e' }}>
+        {t('pinned.empty')}
+      </div>
+    );
+  }
+
+  return (
+    <div className="pinned-basins" style={{ display: 'flex', flexWrap: 'wrap', gap: '5px', padding: '5px 0' }}>
+      {pinnedBasins.map((basin) => (
+        <span
+          key={basin}
+          style={{
+            display: 'inline-flex',
+            alignItems: 'center',
+            gap: '5px',
+            padding: '3px 10px',
+            borderRadius: '15px',
+            backgroundColor: '#f5e6d0',
+            border: '1px solid #d1b28f',
+            fontSize: '14px',
+          }}
+        >
+          {basin}
+          <button
+            onClick={() => onUnpin(basin)}
+            aria-label={t('pinned.unpin', { basin })}
+            style={{ border: 'none', background: 'transparent', cursor: 'pointer', fontWeight: 'bold' }}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      {pinnedBasins.length > 1 && (
+        <button onClick={onClear} style={{ border: 'none', background: 'transparent', cursor: 'pointer' }}>
+          {t('pinned.clear')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PinnedBasins;
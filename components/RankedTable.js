@@ -0,0 +1,78 @@
+import React from 'react';
+import { formatMetricValue } from '../lib/metrics';
+import { useI18n } from '../lib/i18n';
+
+const cellStyle = { padding: '4px 8px', borderBottom: '1px solid #eee', textAlign: 'left' };
+
+// Basins ranked by a property, highest first; basins without a value come last.
+// Rows preview the basin on hover and pick it on click like the map and treemap do.
+const RankedTable = ({ features, property, propertyLabel, metric, selectedBasin, pinnedBasins = [], onHover, onPick }) => {
+  const { t, formatNumber } = useI18n();
+  const ranked = [...features].sort((a, b) => {
+    const va = a.properties[property];
+    const vb = b.properties[property];
+    if (va === null || va === undefined) return 1;
+    if (vb === null || vb === undefined) return -1;
+    return vb - va;
+  });
+
+  return (
+    <div style={{ maxHeight: '360px', overflowY: 'auto', fontSize: '14px' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <caption style={{ textAlign: 'left', fontWeight: 'bold', padding: '5px 8px' }}>
+          {t('ranked.caption', { property: propertyLabel })}
+        </caption>
+        <thead style={{ position: 'sticky', top: 0, backgroundColor: '#f5e6d0' }}>
+          <tr>
+            <th style={cellStyle}>#</th>
+            <th style={cellStyle}>{t('common.basin')}</th>
+            <th style={cellStyle}>{t('common.continent')}</th>
+            <th style={{ ...cellStyle, textAlign: 'right' }}>{propertyLabel}</th>
+          </tr>
+        </thead>
+        <tbody onMouseLeave={() => onHover(null)}>
+          {ranked.map((feature, i) => {
+            const { RIVERBASIN: basin, CONTINENT: continent } = feature.properties;
+            const isSelected = basin === selectedBasin;
+            return (
+              <tr
+                key={basin}
+                onMouseEnter={() => onHover(basin)}
+                onClick={() => onPick(basin)}
+                tabIndex={0} // Rows take focus, which previews the basin; Enter or Space picks it
+                onFocus={() => onHover(basin)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    onPick(basin);
+                  }
+                }}
+                style={{
+                  cursor: 'pointer',
+                  backgroundColor: isSelected ? '#dbe9f6' : 'transparent',
+                  fontWeight: pinnedBasins.includes(basin) ? 'bold' : 'normal',
+                }}
+              >
+                <td style={cellStyle}>{i + 1}</td>
+                <td style={cellStyle}>{basin}</td>
+                <td style={cellStyle}>{continent}</td>
+                <td style={{ ...cellStyle, textAlign: 'right' }}>
+                  {formatMetricValue(metric, feature.properties[property], formatNumber, t('common.noData'))}
+                </td>
+              </tr>
+            );
+          })}
+          {ranked.length === 0 && (
+            <tr>
+              <td colSpan={4} style={cellStyle}>
+                {t('ranked.empty')}
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default RankedTable;
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import DataErrorPanel from './DataErrorPanel';
+import { REGION_FILE_TYPES, readRegionFile } from '../lib/regions';
+import { getAnnualAverage } from '../lib/months';
+import { useI18n } from '../lib/i18n';
+
+const cellStyle = { padding: '3px 6px', borderBottom: '1px solid #eee', textAlign: 'left' };
+const numberCellStyle = { ...cellStyle, textAlign: 'right' };
+
+// Regions panel: group basins by continent or by uploaded region polygons, list the
+// regions (including those drawn with the map's lasso) with their totals, and add a
+// region to the charts by pinning it like a basin. Region files are parsed here and
+// kept by the parent.
+const RegionPanel = ({
+  regions,
+  grouping,
+  regionUpload,
+  selectedYear = null,
+  pinnedBasins = [],
+  onGroupingChange,
+  onUpload,
+  onRemove,
+  onHover,
+  onPick,
+}) => {
+  const { t, formatCompact, formatUnit } = useI18n();
+  const [uploadError, setUploadError] = useState(null); // { error, issues }
+
+  const upload = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = ''; // Choosing the same file again retries it
+    if (!file) return;
+
+    setUploadError(null);
+    try {
+      onUpload(await readRegionFile(file));
+    } catch (error) {
+      setUploadError({ error: error.message, issues: error.issues ?? [] });
+    }
+  };
+
+  return (
+    <div style={{ padding: '10px', fontSize: '14px' }}>
+      <h3 style={{ margin: '0 0 5px', fontSize: '16px' }}>{t('regions.title')}</h3>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px', marginBottom: '5px' }}>
+        <label>
+          {t('regions.groupBy')}{' '}
+          <select value={grouping} onChange={(e) => onGroupingChange(e.target.value)}>
+            <option value="none">{t('regions.group.none')}</option>
+            <option value="continent">{t('regions.group.continent')}</option>
+            <option value="upload" disabled={!regionUpload}>
+              {regionUpload ? t('regions.group.upload', { file: regionUpload.name }) : t('regions.group.noUpload')}
+            </option>
+          </select>
+        </label>
+        <label>
+          {t('regions.upload')}{' '}
+          <input type="file" accept={REGION_FILE_TYPES} onChange={upload} />
+        </label>
+      </div>
+      <p style={{ margin: '0 0 5px', color: '#666', fontSize: '12px' }}>{t('regions.lassoHint')}</p>
+
+      {uploadError && (
+        <DataErrorPanel title={t('regions.uploadError')} error={uploadError.error} issues={uploadError.issues} />
+      )}
+
+      {regions.length === 0 ? (
+        <p>{t('regions.empty')}</p>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th scope="col" style={cellStyle}>{t('regions.region')}</th>
+              <th scope="col" style={numberCellStyle}>{t('regions.basins')}</th>
+              <th scope="col" style={numberCellStyle}>{t('regions.population')}</th>
+              <th scope="col" style={numberCellStyle}>{t('regions.scarcity')}</th>
+              <th scope="col" style={cellStyle}>
+                <span className="sr-only">{t('regions.actions')}</span>
+              </th>
+            </tr>
+          </thead>
+          <tbody onMouseLeave={() => onHover(null)}>
+            {regions.map(({ id, source, feature }) => {
+              const { RIVERBASIN: label, basinCount, population } = feature.properties;
+              const scarcity = getAnnualAverage(feature.properties, selectedYear);
+              const pinned = pinnedBasins.includes(label);
+              return (
+                <tr key={id} onMouseEnter={() => onHover(label)} style={{ fontWeight: pinned ? 'bold' : 'normal' }}>
+                  <th scope="row" style={{ ...cellStyle, fontWeight: 'inherit' }}>
+                    {label}
+                  </th>
+                  <td style={numberCellStyle}>{basinCount}</td>
+                  <td style={numberCellStyle}>{formatCompact(population)}</td>
+                  <td style={numberCellStyle}>
+                    {scarcity === null || scarcity === undefined ? '–' : formatUnit(scarcity, 'millimeter')}
+                  </td>
+                  <td style={cellStyle}>
+                    <button onClick={() => onPick(label)} aria-pressed={pinned}>
+                      {t('regions.chart')}
+                    </button>{' '}
+                    {source === 'lasso' && (
+                      <button onClick={() => onRemove(id)} aria-label={t('regions.remove', { name: label })}>
+                        ×
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default RegionPanel;
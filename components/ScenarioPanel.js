@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import DataErrorPanel from './DataErrorPanel';
+import { SCENARIO_FILE_TYPES, readScenarioFile } from '../lib/scenarios';
+import { useI18n } from '../lib/i18n';
+
+// Scenario menu: upload alternate datasets, choose the dataset the dashboard shows and
+// map the difference between a scenario and the baseline. Uploads are validated here
+// and stored by the parent.
+const ScenarioPanel = ({ scenarios, activeScenario, baseline, difference, onSelect, onDifferenceChange, onAdd, onDelete }) => {
+  const [name, setName] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [uploadError, setUploadError] = useState(null); // { error, issues }
+  const { locale, t } = useI18n();
+
+  const upload = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = ''; // Choosing the same file again retries it
+    if (!file) return;
+
+    setChecking(true);
+    setUploadError(null);
+    try {
+      const data = await readScenarioFile(file, baseline);
+      await onAdd({ name: name.trim() || file.name.replace(/\.[^.]+$/, ''), data });
+      setName('');
+    } catch (error) {
+      setUploadError({ error: error.message, issues: error.issues ?? [] });
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <details className="scenario-panel" style={{ position: 'relative', display: 'inline-block' }}>
+      <summary style={{ cursor: 'pointer', padding: '5px 10px', backgroundColor: '#f5e6d0', borderRadius: '5px' }}>
+        {activeScenario ? t('scenarios.active', { name: activeScenario.name }) : t('scenarios.title')}
+      </summary>
+      <div
+        style={{
+          position: 'absolute',
+          right: 0,
+          zIndex: 1000,
+          width: '380px',
+          maxHeight: '70vh',
+          overflowY: 'auto',
+          padding: '10px',
+          backgroundColor: '#fff',
+          border: '1px solid #ccc',
+          borderRadius: '5px',
+          boxShadow: '0 2px 10px rgba(0, 0, 0, 0.2)',
+          fontSize: '14px',
+        }}
+      >
+        <label style={{ display: 'block', marginBottom: '5px' }}>
+          {t('scenarios.dataset')}{' '}
+          <select value={activeScenario?.id ?? ''} onChange={(e) => onSelect(e.target.value || null)}>
+            <option value="">{t('scenarios.baseline')}</option>
+            {scenarios.map((scenario) => (
+              <option key={scenario.id} value={scenario.id}>
+                {scenario.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={{ display: 'block', marginBottom: '10px', color: activeScenario ? 'inherit' : '#999' }}>
+          <input
+            type="checkbox"
+            checked={difference && Boolean(activeScenario)}
+            disabled={!activeScenario}
+            onChange={(e) => onDifferenceChange(e.target.checked)}
+          />{' '}
+          {t('scenarios.difference')}
+        </label>
+
+        {scenarios.length > 0 && (
+          <ul style={{ listStyle: 'none', padding: 0, margin: '0 0 10px' }}>
+            {scenarios.map((scenario) => (
+              <li key={scenario.id} style={{ marginBottom: '5px' }}>
+                <strong>{scenario.name}</strong>{' '}
+                {t('scenarios.details', {
+                  count: scenario.data.features.length,
+                  date: new Date(scenario.createdAt).toLocaleDateString(locale),
+                })}{' '}
+                <button onClick={() => onDelete(scenario.id)} aria-label={t('scenarios.delete', { name: scenario.name })}>
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <fieldset style={{ border: 'none', padding: 0, margin: 0 }}>
+          <legend style={{ fontWeight: 'bold' }}>{t('scenarios.upload')}</legend>
+          <p style={{ margin: '0 0 5px', fontSize: '12px', color: '#555' }}>{t('scenarios.uploadHelp')}</p>
+          <input
+            type="text"
+            placeholder={t('scenarios.namePlaceholder')}
+            aria-label={t('scenarios.name')}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            style={{ width: '100%', boxSizing: 'border-box', marginBottom: '5px' }}
+          />
+          <input
+            type="file"
+            accept={SCENARIO_FILE_TYPES}
+            onChange={upload}
+            disabled={checking}
+            aria-label={t('scenarios.file')}
+          />
+          {checking && <div aria-live="polite">{t('scenarios.checking')}</div>}
+        </fieldset>
+
+        {uploadError && (
+          <DataErrorPanel title={t('scenarios.error')} error={uploadError.error} issues={uploadError.issues} />
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default ScenarioPanel;
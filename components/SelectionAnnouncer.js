@@ -0,0 +1,37 @@
+import React, { useEffect, useState } from 'react';
+import { getAnnualAverage } from '../lib/months';
+import { useI18n } from '../lib/i18n';
+
+// Delay before announcing, so sweeping the pointer across basins reads only the last one
+const ANNOUNCE_DELAY = 400;
+
+// Screen-reader announcement of the selected basin (hovered, or moved to with the keyboard
+// in any view): its name, continent, average scarcity and whether it is pinned.
+const SelectionAnnouncer = ({ features, selectedBasin, pinnedBasins = [], selectedYear = null }) => {
+  const { t, formatUnit } = useI18n();
+  const [message, setMessage] = useState('');
+
+  const feature = selectedBasin ? features.find((f) => f.properties.RIVERBASIN === selectedBasin) : null;
+  const average = feature ? getAnnualAverage(feature.properties, selectedYear) : null;
+  const text = feature
+    ? t(pinnedBasins.includes(selectedBasin) ? 'a11y.selectedPinned' : 'a11y.selected', {
+        basin: selectedBasin,
+        continent: feature.properties.CONTINENT,
+        value: average === null || average === undefined ? t('common.noData') : formatUnit(average, 'millimeter'),
+      })
+    : '';
+
+  useEffect(() => {
+    if (!text) return;
+    const timer = setTimeout(() => setMessage(text), ANNOUNCE_DELAY);
+    return () => clearTimeout(timer);
+  }, [text]);
+
+  return (
+    <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+      {message}
+    </div>
+  );
+};
+
+export default SelectionAnnouncer;
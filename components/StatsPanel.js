@@ -0,0 +1,190 @@
+import React, { useMemo, useState } from 'react';
+import Link from 'next/link';
+import { getAllMonthlyValues, getAnnualAverage } from '../lib/months';
+import { basinSummary, distribution, percentileRank, rankFeatures } from '../lib/stats';
+import { useI18n } from '../lib/i18n';
+
+const RANK_SIZES = [5, 10, 20];
+
+// Columns of the distribution table, keys of lib/stats distribution()
+const DISTRIBUTION_COLUMNS = ['count', 'min', 'q1', 'median', 'q3', 'max', 'mean', 'deviation'];
+
+const cellStyle = { padding: '3px 6px', borderBottom: '1px solid #eee', textAlign: 'left' };
+const numberCellStyle = { ...cellStyle, textAlign: 'right' };
+const headingStyle = { margin: '0 0 5px', fontSize: '16px' };
+
+const StatRow = ({ label, children }) => (
+  <tr>
+    <th scope="row" style={{ ...cellStyle, fontWeight: 'normal' }}>
+      {label}
+    </th>
+    <td style={numberCellStyle}>{children}</td>
+  </tr>
+);
+
+// Statistics for one basin: its year's totals, extremes and variability, and where its
+// average scarcity ranks among all basins and within its continent. The basin reports
+// (pages/report/[basin].js) show it too.
+export const BasinStats = ({ feature, features, year, threshold }) => {
+  const { properties } = feature;
+  const { t, formatNumber, formatPercent, formatOrdinal, monthLabels } = useI18n();
+  const summary = basinSummary(properties, year, threshold);
+  if (!summary) return <p>{t('stats.noMonthly', { basin: properties.RIVERBASIN })}</p>;
+
+  const averages = (list) =>
+    list.map((f) => getAnnualAverage(f.properties, year)).filter((v) => v !== null && v !== undefined);
+  const allAverages = averages(features);
+  const continentAverages = averages(features.filter((f) => f.properties.CONTINENT === properties.CONTINENT));
+  const rankText = (rank, count) =>
+    rank === null ? '–' : t('stats.rank', { ordinal: formatOrdinal(Math.round(rank)), count });
+
+  return (
+    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+      <caption style={{ ...headingStyle, textAlign: 'left' }}>
+        {year ? t('stats.caption', { basin: properties.RIVERBASIN, year }) : properties.RIVERBASIN}
+      </caption>
+      <tbody>
+        <StatRow label={t('stats.annualTotal')}>{formatNumber(summary.total)}</StatRow>
+        <StatRow label={t('stats.average')}>{formatNumber(summary.average)}</StatRow>
+        <StatRow label={t('stats.peakMonth')}>
+          {monthLabels[summary.peak.index]} ({formatNumber(summary.peak.value)})
+        </StatRow>
+        <StatRow label={t('stats.lowestMonth')}>
+          {monthLabels[summary.low.index]} ({formatNumber(summary.low.value)})
+        </StatRow>
+        <StatRow label={t('stats.severeMonths', { threshold: formatNumber(threshold) })}>
+          {t('stats.monthsOf', { n: summary.severeMonths, total: summary.monthCount })}
+        </StatRow>
+        <StatRow label={t('stats.variation')}>
+          {summary.variation === null ? '–' : formatPercent(summary.variation)}
+        </StatRow>
+        <StatRow label={t('stats.rankAll')}>
+          {rankText(percentileRank(summary.average, allAverages), allAverages.length)}
+        </StatRow>
+        <StatRow label={t('stats.rankContinent', { continent: properties.CONTINENT })}>
+          {rankText(percentileRank(summary.average, continentAverages), continentAverages.length)}
+        </StatRow>
+      </tbody>
+    </table>
+  );
+};
+
+const DistributionRow = ({ label, stats }) => {
+  const { formatNumber } = useI18n();
+  return (
+    <tr>
+      <th scope="row" style={{ ...cellStyle, fontWeight: 'normal' }}>
+        {label}
+      </th>
+      {DISTRIBUTION_COLUMNS.map((column) => (
+        <td key={column} style={numberCellStyle}>
+          {stats[column] === null ? '–' : formatNumber(stats[column])}
+        </td>
+      ))}
+    </tr>
+  );
+};
+
+const RankList = ({ title, ranked, onHover, onPick }) => {
+  const { formatNumber } = useI18n();
+  return (
+    <div style={{ flex: 1, minWidth: '160px' }}>
+      <h4 style={{ margin: '5px 0' }}>{title}</h4>
+      <ol style={{ margin: 0, paddingLeft: '25px' }} onMouseLeave={() => onHover(null)}>
+        {ranked.map(({ feature, value }) => {
+          const basin = feature.properties.RIVERBASIN;
+          return (
+            <li key={basin}>
+              <button
+                onClick={() => onPick(basin)}
+                onMouseEnter={() => onHover(basin)}
+                onFocus={() => onHover(basin)}
+                style={{ border: 'none', background: 'none', padding: 0, font: 'inherit', cursor: 'pointer', textAlign: 'left' }}
+              >
+                {basin}: {formatNumber(value)}
+              </button>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+// Analytics panel: the selected basin's statistics next to the distribution of average
+// scarcity over all basins and the top and bottom basins. Basins in the lists preview
+// on hover and pick on click like the other views.
+const StatsPanel = ({ features, basin, selectedYear = null, threshold, onHover, onPick }) => {
+  const [rankSize, setRankSize] = useState(RANK_SIZES[0]);
+  const { t } = useI18n();
+
+  const ranked = useMemo(
+    () => rankFeatures(features, (properties) => getAnnualAverage(properties, selectedYear)),
+    [features, selectedYear]
+  );
+  const stats = useMemo(() => distribution(ranked.map(({ value }) => value)), [ranked]);
+  // Every month of every basin, the same values the map's monthly colors span
+  const monthlyStats = useMemo(() => distribution(getAllMonthlyValues({ features })), [features]);
+  const basinFeature = basin ? features.find((f) => f.properties.RIVERBASIN === basin) : null;
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: '20px', padding: '10px', fontSize: '14px' }}>
+      <section aria-label={t('stats.selected')}>
+        {basinFeature ? (
+          <>
+            <BasinStats feature={basinFeature} features={features} year={selectedYear} threshold={threshold} />
+            <Link href={`/report/${encodeURIComponent(basin)}`} target="_blank">
+              {t('report.open')}
+            </Link>
+          </>
+        ) : (
+          <p>{t('stats.empty')}</p>
+        )}
+      </section>
+
+      <section aria-label={t('stats.all')}>
+        <h3 style={headingStyle}>
+          {selectedYear ? t('stats.allTitleYear', { year: selectedYear }) : t('stats.allTitle')}
+        </h3>
+        {stats ? (
+          <>
+            <table style={{ borderCollapse: 'collapse', marginBottom: '10px' }}>
+              <thead>
+                <tr>
+                  {['', ...DISTRIBUTION_COLUMNS.map((column) => t(`stats.${column}`))].map((label) => (
+                    <th key={label} scope="col" style={numberCellStyle}>
+                      {label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                <DistributionRow label={t('stats.basinAverages')} stats={stats} />
+                {monthlyStats && <DistributionRow label={t('stats.monthlyValues')} stats={monthlyStats} />}
+              </tbody>
+            </table>
+
+            <label>
+              {t('stats.rankSize')}{' '}
+              <select value={rankSize} onChange={(e) => setRankSize(Number(e.target.value))}>
+                {RANK_SIZES.map((size) => (
+                  <option key={size} value={size}>
+                    {size}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap' }}>
+              <RankList title={t('stats.highest')} ranked={ranked.slice(0, rankSize)} onHover={onHover} onPick={onPick} />
+              <RankList title={t('stats.lowest')} ranked={ranked.slice(-rankSize).reverse()} onHover={onHover} onPick={onPick} />
+            </div>
+          </>
+        ) : (
+          <p>{t('stats.noData')}</p>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default StatsPanel;
@@ -1,67 +1,274 @@
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import dynamic from 'next/dynamic';
+import * as d3 from 'd3';
+import { MONTHS, getAnnualAverage, measureValue } from '../lib/months';
+import { continentColor, getPalette, withOpacity } from '../lib/palettes';
+import { formatMetricValue } from '../lib/metrics';
+import { useI18n } from '../lib/i18n';
 const ResponsiveTreeMap = dynamic(() => import('@nivo/treemap').then(mod => mod.ResponsiveTreeMap), { ssr: false });
 
-// Function to calculate Water Scarcity * Population for each basin
-const calculateWaterScarcity = (data) => {
-  const hierarchy = {
-    name: 'Water Scarcity * Population',
-    children: [],
-  };
+const ROOT_ID = 'All continents';
+
+// Raw measures for tile size and color, labeled in the UI language; the derived metrics
+// are added to these
+const rawMeasures = ({ t, monthLabels }) => [
+  { id: 'population', label: t('property.population') },
+  { id: 'average', label: t('property.average') },
+  ...MONTHS.map((month, i) => ({ id: month, label: monthLabels[i] })),
+];
+
+// Function to build the continent → basin hierarchy, with each basin sized by the
+// size measure and carrying its color measure value. Continents hold their subtotal;
+// basins without a continent go under `unknownContinent`.
+const calculateWaterScarcity = (data, sizeMeasure, colorMeasure, year, unknownContinent) => {
+  const continents = new Map();
 
   // Process each basin
   data.forEach(item => {
-    const waterScarcity = item.properties.average; // Use average water scarcity
+    const waterScarcity = getAnnualAverage(item.properties, year); // Use average water scarcity
     const population = item.properties.population;
+    const value = measureValue(item.properties, sizeMeasure, year);
 
-    // Skip if data is missing
-    if (waterScarcity === undefined || population === undefined) {
+    // Skip if data is missing; tiles need a positive size
+    if (value === undefined || value === null || !(value > 0)) {
       return;
     }
 
-    const value = waterScarcity * population; // Water scarcity * population
-
-    hierarchy.children.push({
+    const continent = item.properties.CONTINENT || unknownContinent;
+    if (!continents.has(continent)) {
+      continents.set(continent, { id: continent, continent, isContinent: true, total: 0, children: [] });
+    }
+    const parent = continents.get(continent);
+    parent.total += value;
+    parent.children.push({
       id: item.properties.RIVERBASIN,
       value,
       population,
       waterScarcity,
-      continent: item.properties.CONTINENT, // Store the continent for color mapping
+      continent, // Store the continent for color mapping and subtotals
+      colorValue: colorMeasure === 'continent' ? null : measureValue(item.properties, colorMeasure, year),
     });
   });
 
-  // Sort the basins by water scarcity * population in descending order
-  hierarchy.children.sort((a, b) => b.value - a.value);
+  // Sort continents and the basins within them by the size measure in descending order
+  const children = [...continents.values()].sort((a, b) => b.total - a.total);
+  children.forEach((continent) => continent.children.sort((a, b) => b.value - a.value));
 
-  return hierarchy;
+  return { id: ROOT_ID, children };
 };
 
-// Define color scheme based on continents
-const continentColorMapping = {
-    Africa: '#FF8C00',      // Vibrant Orange for Africa
-    Asia: '#FF1493',        // Deep Pink for Asia
-    Europe: '#32CD32',      // Lime Green for Europe
-    NorthAmerica: '#1E90FF', // Dodger Blue for North America
-    SouthAmerica: '#FFD700', // Gold for South America
-    Australia: '#FF4500',   // Orange Red for Australia
-    Antarctica: '#00CED1',  // Dark Turquoise for Antarctica
-  };
+// Breadcrumb trail above the treemap: the root, then the continent drilled into
+const Breadcrumbs = ({ continent, onNavigate }) => {
+  const { t } = useI18n();
+  return (
+    <nav aria-label={t('treeMap.levelLabel')} style={{ display: 'inline-block', fontSize: '13px', margin: '0 5px' }}>
+      {continent ? (
+        <>
+          <button
+            onClick={() => onNavigate(null)}
+            style={{ border: 'none', background: 'none', padding: 0, color: '#0072B2', cursor: 'pointer' }}
+          >
+            {t('treeMap.allContinents')}
+          </button>
+          {' › '}
+          <strong>{continent}</strong>
+        </>
+      ) : (
+        <strong>{t('treeMap.allContinents')}</strong>
+      )}
+    </nav>
+  );
+};
+
+const cellStyle = { padding: '2px 6px', borderBottom: '1px solid #eee', textAlign: 'left' };
+const linkStyle = { border: 'none', background: 'none', padding: 0, font: 'inherit', color: '#0072B2', cursor: 'pointer' };
+
+// The treemap's tiles as a table, the text alternative to the SVG. Continent names drill
+// in like their tile strips, and basin names pick the basin like a tile click.
+const TreeMapTable = ({ continents, measure, formatMeasure, share, drilledIn, onContinent, onBasin }) => {
+  const { t } = useI18n();
+  return (
+    <details style={{ padding: '0 5px 5px', fontSize: '13px' }}>
+      <summary>{t('a11y.showTable')}</summary>
+      <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th scope="col" style={cellStyle}>{t('treeMap.continent')}</th>
+              <th scope="col" style={cellStyle}>{t('a11y.basin')}</th>
+              <th scope="col" style={{ ...cellStyle, textAlign: 'right' }}>{measure.label}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {continents.flatMap((continent) =>
+              continent.children.map((basin, i) => (
+                <tr key={basin.id}>
+                  {i === 0 && (
+                    <th scope="rowgroup" rowSpan={continent.children.length} style={{ ...cellStyle, verticalAlign: 'top' }}>
+                      {drilledIn ? (
+                        continent.id
+                      ) : (
+                        <button onClick={() => onContinent(continent.id)} style={linkStyle}>
+                          {continent.id}
+                        </button>
+                      )}
+                    </th>
+                  )}
+                  <td style={cellStyle}>
+                    <button onClick={() => onBasin(basin.id)} style={linkStyle}>
+                      {basin.id}
+                    </button>
+                  </td>
+                  <td style={{ ...cellStyle, textAlign: 'right' }}>
+                    {formatMeasure(basin.value)}
+                    {share(basin.value, continent.total)}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
+};
 
+const selectStyle = { margin: '5px', padding: '3px', backgroundColor: '#f5e6d0', border: 'none', borderRadius: '5px' };
 
+// Custom SVG layer outlining the pinned basins on top of the tiles, and the selected
+// basin (hovered or picked in any view) in blue as on the map
+const outlineLayer = (pinnedBasins, selectedBasin) => {
+  const OutlineLayer = ({ nodes }) => (
+    <g>
+      {nodes
+        .filter((node) => node.isLeaf && (pinnedBasins.includes(node.id) || node.id === selectedBasin))
+        .sort((a, b) => (a.id === selectedBasin) - (b.id === selectedBasin)) // Selected outline on top
+        .map((node) => (
+          <rect
+            key={node.id}
+            x={node.x + 1}
+            y={node.y + 1}
+            width={Math.max(node.width - 2, 0)}
+            height={Math.max(node.height - 2, 0)}
+            fill="none"
+            stroke={node.id === selectedBasin ? 'blue' : 'black'}
+            strokeWidth={3}
+            pointerEvents="none"
+          />
+        ))}
+    </g>
+  );
+  return OutlineLayer;
+};
+
+const TreeMap = ({
+  geojsonData,
+  setSelectedBasin,
+  selectedYear = null,
+  pinnedBasins = [],
+  onPinBasin,
+  palette: paletteId,
+  metrics = [],
+  sizeMeasure = 'scarcity_population',
+  onSizeMeasureChange,
+  colorMeasure = 'continent',
+  onColorMeasureChange,
+  selectedBasin = null,
+  focusedBasin = null,
+}) => {
+  const [focusedContinent, setFocusedContinent] = useState(null); // Continent drilled into, or null for all
+  const i18n = useI18n();
+  const { t, formatNumber, formatCompact, formatPercent, formatUnit } = i18n;
+
+  const handledFocusRef = useRef(null); // Id of the last picked basin the treemap has followed
+
+  // While drilled into a continent, move to the continent of a basin picked elsewhere so its tile shows
+  useEffect(() => {
+    if (!focusedBasin || !geojsonData || handledFocusRef.current === focusedBasin.id) return;
+    handledFocusRef.current = focusedBasin.id;
+    const feature = geojsonData.features.find((f) => f.properties.RIVERBASIN === focusedBasin.basin);
+    if (feature) {
+      setFocusedContinent((continent) => (continent === null ? null : feature.properties.CONTINENT));
+    }
+  }, [focusedBasin, geojsonData]);
 
-const TreeMap = ({ geojsonData, setSelectedBasin }) => {
   if (!geojsonData) {
-    return <div>No data available</div>;
+    return <div>{t('common.noData')}</div>;
   }
 
-  const treeMapData = calculateWaterScarcity(geojsonData.features);
+  const palette = getPalette(paletteId);
+  const measures = [...rawMeasures(i18n), ...metrics.filter((metric) => !metric.error)];
+  const measure = measures.find((m) => m.id === sizeMeasure) || measures.find((m) => m.id === 'scarcity_population');
+  const colorBy = measures.find((m) => m.id === colorMeasure) || null; // null colors by continent
+  const hierarchy = calculateWaterScarcity(
+    geojsonData.features,
+    measure.id,
+    colorBy?.id ?? 'continent',
+    selectedYear,
+    t('treeMap.unknownContinent')
+  );
+
+  // Drilling into a continent makes it the root; it may have no basins left under another measure
+  const focused = hierarchy.children.find((continent) => continent.id === focusedContinent) || null;
+  const treeMapData = focused || hierarchy;
+  const grandTotal = d3.sum(hierarchy.children, (continent) => continent.total);
+  const continentTotals = new Map(hierarchy.children.map((continent) => [continent.id, continent.total]));
+
+  // Sequential colors over the basins' color measure values
+  const colorValues = hierarchy.children.flatMap((continent) => continent.children.map((basin) => basin.colorValue));
+  const colorScale = colorBy
+    ? d3.scaleSequential(d3.extent(colorValues.filter((v) => v !== null && v !== undefined)), palette.sequential)
+    : null;
 
   const handleTreeMapHover = (node) => {
-    setSelectedBasin(node.id); // Set the selected basin from TreeMap hover
+    if (node.isLeaf) setSelectedBasin(node.id); // Set the selected basin from TreeMap hover
   };
 
+  const formatValue = (metric, value, format = formatNumber) => formatMetricValue(metric, value, format, t('common.noData'));
+  const formatMeasure = (value) => formatValue(measure, value);
+  const share = (value, total) => (total > 0 ? ` (${formatPercent(value / total)})` : '');
+
   return (
-    <div style={{ height: '380px', backgroundColor: '#f5f5dc',border:'none' }}> {/* Beige background for the container */}
+    <div style={{ minHeight: '380px', backgroundColor: '#f5f5dc',border:'none' }}> {/* Beige background for the container */}
+      <Breadcrumbs continent={focused?.id} onNavigate={setFocusedContinent} />
+      <select
+        id="treemap-size-select"
+        value={measure.id}
+        onChange={(e) => onSizeMeasureChange(e.target.value)}
+        title={t('treeMap.sizeTitle')}
+        aria-label={t('treeMap.sizeTitle')}
+        style={selectStyle}
+      >
+        {measures.map((m) => (
+          <option key={m.id} value={m.id}>
+            {t('treeMap.sizeBy', { measure: m.label })}
+          </option>
+        ))}
+      </select>
+      <select
+        id="treemap-color-select"
+        value={colorBy?.id ?? 'continent'}
+        onChange={(e) => onColorMeasureChange(e.target.value)}
+        title={t('treeMap.colorTitle')}
+        aria-label={t('treeMap.colorTitle')}
+        style={selectStyle}
+      >
+        <option value="continent">{t('treeMap.colorBy', { measure: t('treeMap.continent') })}</option>
+        {measures.map((m) => (
+          <option key={m.id} value={m.id}>
+            {t('treeMap.colorBy', { measure: m.label })}
+          </option>
+        ))}
+      </select>
+      <div
+        style={{ height: '345px' }}
+        role="img"
+        aria-label={t('a11y.treeMapSummary', {
+          measure: measure.label,
+          scope: focused ? focused.id : t('treeMap.allContinents'),
+          total: formatMeasure(focused ? focused.total : grandTotal),
+        })}
+      >
       <ResponsiveTreeMap
         data={treeMapData}
         id="id"
@@ -76,28 +283,88 @@ const TreeMap = ({ geojsonData, setSelectedBasin }) => {
           return node.id && node.id.length > 10 ? `${node.id.substring(0, 10)}...` : node.id;
         }} // Limit label to 10 chars
         labelSkipSize={12}
-        tooltip={(node) => {
-          if (!node.data) return null;
+        enableParentLabel={true} // Continent name strip, clicked to drill down
+        parentLabelSize={16}
+        tooltip={({ node }) => {
+          const { data } = node;
+          const continentTotal = continentTotals.get(data.continent) ?? 0;
 
-          const waterScarcity = node.data.waterScarcity || 0; // Ensure waterScarcity is a number
-          const population = node.data.population || 0; // Ensure population is a number
+          if (!node.isLeaf) {
+            return (
+              <div style={{ padding: '5px', backgroundColor: '#fff', boxShadow: '0 1px 4px rgba(0, 0, 0, 0.3)' }}>
+                <strong>{node.id === ROOT_ID ? t('treeMap.allContinents') : node.id}</strong>
+                <br />
+                {measure.label}: {formatMeasure(node.value)}
+                {data.isContinent && share(node.value, grandTotal)}
+                {data.isContinent && !focused && (
+                  <>
+                    <br />
+                    <em>{t('treeMap.zoomIn')}</em>
+                  </>
+                )}
+              </div>
+            );
+          }
 
           return (
-            <div style={{  backgroundColor: 'transparent', border:'none'}}>
-              <strong>{node.id}</strong>
+            <div style={{ padding: '5px', backgroundColor: '#fff', boxShadow: '0 1px 4px rgba(0, 0, 0, 0.3)' }}>
+              <strong>{node.id}</strong> ({data.continent})
+              <br />
+              {t('treeMap.waterScarcity', {
+                value: formatValue(null, data.waterScarcity, (value) => formatUnit(value, 'millimeter')),
+              })}
               <br />
-              Water Scarcity: {waterScarcity} mm
+              {t('treeMap.population', { value: formatValue(null, data.population, formatCompact) })}
+              {colorBy && colorBy.id !== measure.id && (
+                <>
+                  <br />
+                  {colorBy.label}: {formatValue(colorBy, data.colorValue)}
+                </>
+              )}
               <br />
-              Population: {population}
+              <strong>
+                {measure.label}: {formatMeasure(node.value)}
+                {share(node.value, continentTotal)}
+              </strong>
               <br />
-              <strong>Value: {node.value}</strong>
+              {t('treeMap.subtotal', { continent: data.continent, value: formatMeasure(continentTotal) })}
             </div>
           );
         }}
-        colors={(node) => continentColorMapping[node.data.continent] || '#808080'} // Color based on continent
+        colors={(node) => {
+          if (!node.isLeaf) {
+            // Continents keep their categorical color; the root sits behind everything
+            return node.data.isContinent ? continentColor(palette, node.data.continent) : '#f5f5dc';
+          }
+          let color = continentColor(palette, node.data.continent); // Color based on continent
+          if (colorScale) {
+            const { colorValue } = node.data;
+            color = colorValue === null || colorValue === undefined ? '#d3d3d3' : colorScale(colorValue);
+          }
+          // Fade unpinned tiles while basins are pinned so the pinned ones stand out
+          return pinnedBasins.length > 0 && !pinnedBasins.includes(node.id) ? withOpacity(color, 0.4) : color;
+        }}
+        layers={['nodes', outlineLayer(pinnedBasins, selectedBasin)]}
         onMouseEnter={handleTreeMapHover}
+        onClick={(node) => {
+          if (node.isLeaf) {
+            onPinBasin(node.id);
+          } else if (node.data.isContinent && !focused) {
+            setFocusedContinent(node.id); // Zoom into the continent
+          }
+        }}
         padding={0} // Remove general padding
       />
+      </div>
+      <TreeMapTable
+        continents={focused ? [focused] : hierarchy.children}
+        measure={measure}
+        formatMeasure={formatMeasure}
+        share={share}
+        drilledIn={Boolean(focused)}
+        onContinent={setFocusedContinent}
+        onBasin={onPinBasin}
+      />
     </div>
   );
 };
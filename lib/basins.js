@@ -0,0 +1,113 @@
+import { MONTHS, getDatasetYears, monthProperty } from './months';
+import { DatasetError, loadDataset } from './dataset';
+import { computeBbox } from './geometry';
+
+// Server-side access to the basin dataset. The GeoJSON is parsed and indexed
+// once per server process and shared by the API routes, the map topology and the
+// basin reports generated at build time.
+
+let cachedIndex = null;
+
+const buildIndex = (geojsonData) => {
+  const byName = new Map();
+  const entries = geojsonData.features.map((feature) => {
+    const entry = { feature, bbox: computeBbox(feature.geometry) };
+    byName.set(String(feature.properties.RIVERBASIN).toUpperCase(), entry);
+    return entry;
+  });
+
+  return { geojsonData, entries, byName, years: getDatasetYears(geojsonData) };
+};
+
+// Load and index the dataset, reusing the parsed copy on later calls.
+// Failures are not cached so a fixed file is picked up without a restart.
+export const getBasinIndex = () => {
+  if (!cachedIndex) {
+    cachedIndex = buildIndex(loadDataset());
+  }
+  return cachedIndex;
+};
+
+// JSON error body for a dataset that failed to load
+export const loadErrorBody = (error) => {
+  if (error instanceof DatasetError) {
+    return { error: error.message, issues: error.issues };
+  }
+  return { error: 'Basin data could not be loaded', issues: [] };
+};
+
+// Look up one basin by RIVERBASIN name (case-insensitive)
+export const getBasin = (name) => getBasinIndex().byName.get(String(name).toUpperCase()) || null;
+
+// Number from a query value; blank values are NaN rather than Number('') === 0
+const queryNumber = (raw) => (String(raw).trim() === '' ? NaN : Number(raw));
+
+// Parse list query parameters into a filter description, throwing on bad input.
+// Supported: continent=Asia,Europe  bbox=minLon,minLat,maxLon,maxLat
+//            min_<property>=n  max_<property>=n  geometry=false
+export const parseBasinQuery = (query) => {
+  const filter = { continents: null, bbox: null, ranges: {}, geometry: query.geometry !== 'false' };
+
+  if (query.continent) {
+    filter.continents = String(query.continent)
+      .split(',')
+      .map((c) => c.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  if (query.bbox) {
+    const bbox = String(query.bbox).split(',').map(queryNumber);
+    if (bbox.length !== 4 || bbox.some(Number.isNaN)) {
+      throw new Error('bbox must be four comma-separated numbers: minLon,minLat,maxLon,maxLat');
+    }
+    filter.bbox = bbox;
+  }
+
+  Object.entries(query).forEach(([key, raw]) => {
+    const match = key.match(/^(min|max)_(.+)$/);
+    if (!match) return;
+    const value = queryNumber(raw);
+    if (Number.isNaN(value)) {
+      throw new Error(`${key} must be a number`);
+    }
+    const [, bound, property] = match;
+    filter.ranges[property] = { ...filter.ranges[property], [bound]: value };
+  });
+
+  return filter;
+};
+
+const bboxIntersects = (a, b) => a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+
+// Return the features matching a filter produced by parseBasinQuery
+export const queryBasins = (filter) => {
+  const { entries } = getBasinIndex();
+
+  return entries
+    .filter(({ feature, bbox }) => {
+      const props = feature.properties;
+
+      if (filter.continents && !filter.continents.includes(String(props.CONTINENT).toLowerCase())) {
+        return false;
+      }
+      if (filter.bbox && (!bbox || !bboxIntersects(bbox, filter.bbox))) {
+        return false;
+      }
+      return Object.entries(filter.ranges).every(([property, { min, max }]) => {
+        const value = props[property];
+        if (value === null || value === undefined) return false;
+        if (min !== undefined && value < min) return false;
+        if (max !== undefined && value > max) return false;
+        return true;
+      });
+    })
+    .map(({ feature, bbox }) => ({
+      ...feature,
+      bbox,
+      geometry: filter.geometry ? feature.geometry : null,
+    }));
+};
+
+// Monthly values of one basin in calendar order, for one year or the single-year data
+export const getBasinTimeSeries = (entry, year = null) =>
+  MONTHS.map((month) => ({ month, value: entry.feature.properties[monthProperty(month, year)] ?? null }));
@@ -0,0 +1,165 @@
+import * as d3 from 'd3';
+
+// Classification schemes for the choropleth. Each method turns a list of values
+// into class breaks [min, b1, ..., max]; the map colors features by class. The UI
+// shows the methods and midpoint types by their 'classification.*' and 'midpoint.*'
+// messages.
+
+export const CLASSIFICATION_METHODS = {
+  continuous: 'Continuous',
+  quantile: 'Quantile',
+  equal: 'Equal interval',
+  jenks: 'Natural breaks (Jenks)',
+  stddev: 'Standard deviation',
+  log: 'Log scale',
+};
+
+export const MIDPOINT_TYPES = {
+  percentile: 'Percentile',
+  mean: 'Mean',
+  fixed: 'Fixed value',
+};
+
+// Midpoint of a diverging scale: a percentile (0-1), the mean, or a fixed value
+export const computeMidpoint = (values, cutoffType = 'percentile', cutoffValue = 0.3) => {
+  if (cutoffType === 'percentile') {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(Math.floor(sorted.length * cutoffValue), sorted.length - 1)];
+  }
+  if (cutoffType === 'mean') {
+    return d3.mean(values);
+  }
+  if (cutoffType === 'fixed') {
+    return cutoffValue;
+  }
+  throw new Error('Invalid cutoffType. Use "percentile", "mean", or "fixed".');
+};
+
+const quantileBreaks = (sorted, classes) =>
+  d3.range(1, classes).map((i) => d3.quantileSorted(sorted, i / classes));
+
+const equalIntervalBreaks = (min, max, classes) =>
+  d3.range(1, classes).map((i) => min + ((max - min) * i) / classes);
+
+// Breaks at whole standard deviations around the mean, centered on it
+const stddevBreaks = (values, min, max, classes) => {
+  const mean = d3.mean(values);
+  const sd = d3.deviation(values) || 0;
+  return d3
+    .range(1, classes)
+    .map((i) => mean + (i - classes / 2) * sd)
+    .filter((b) => b > min && b < max);
+};
+
+// Geometric intervals; non-positive values fall into the first class
+const logBreaks = (sorted, max, classes) => {
+  const minPositive = sorted.find((v) => v > 0);
+  if (minPositive === undefined || minPositive === max) return [];
+  const logMin = Math.log10(minPositive);
+  const logMax = Math.log10(max);
+  return d3.range(1, classes).map((i) => 10 ** (logMin + ((logMax - logMin) * i) / classes));
+};
+
+// Jenks is quadratic in the number of values, so large inputs are reduced to evenly spaced quantiles
+const JENKS_MAX_VALUES = 1000;
+
+// Fisher-Jenks natural breaks: minimize the within-class sum of squared deviations
+const jenksBreaks = (allSorted, classes) => {
+  const sorted =
+    allSorted.length > JENKS_MAX_VALUES
+      ? d3.range(JENKS_MAX_VALUES).map((i) => d3.quantileSorted(allSorted, i / (JENKS_MAX_VALUES - 1)))
+      : allSorted;
+  const n = sorted.length;
+  const lowerClassLimits = d3.range(n + 1).map(() => new Array(classes + 1).fill(0));
+  const varianceCombinations = d3.range(n + 1).map(() => new Array(classes + 1).fill(0));
+
+  for (let j = 1; j <= classes; j++) {
+    lowerClassLimits[1][j] = 1;
+    for (let i = 2; i <= n; i++) {
+      varianceCombinations[i][j] = Infinity;
+    }
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let variance = 0;
+
+    for (let m = 1; m <= l; m++) {
+      const lowerLimit = l - m + 1;
+      const value = sorted[lowerLimit - 1];
+      sum += value;
+      sumSquares += value * value;
+      variance = sumSquares - (sum * sum) / m;
+
+      if (lowerLimit > 1) {
+        for (let j = 2; j <= classes; j++) {
+          if (varianceCombinations[l][j] >= variance + varianceCombinations[lowerLimit - 1][j - 1]) {
+            lowerClassLimits[l][j] = lowerLimit;
+            varianceCombinations[l][j] = variance + varianceCombinations[lowerLimit - 1][j - 1];
+          }
+        }
+      }
+    }
+    lowerClassLimits[l][1] = 1;
+    varianceCombinations[l][1] = variance;
+  }
+
+  const breaks = [];
+  let k = n;
+  for (let j = classes; j >= 2; j--) {
+    const index = lowerClassLimits[k][j] - 1;
+    breaks.unshift(sorted[index]);
+    k = lowerClassLimits[k][j] - 1;
+  }
+  return breaks;
+};
+
+// Class breaks [min, ..., max] for a method. Duplicate breaks are dropped, so there may be
+// fewer classes than asked for; a last inner break equal to max is a class of max values only.
+export const computeBreaks = (values, method, classes) => {
+  const sorted = values.filter((v) => v !== null && v !== undefined && !Number.isNaN(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return [];
+
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const count = Math.max(2, Math.min(classes, sorted.length));
+
+  let inner;
+  switch (method) {
+    case 'quantile':
+      inner = quantileBreaks(sorted, count);
+      break;
+    case 'equal':
+      inner = equalIntervalBreaks(min, max, count);
+      break;
+    case 'jenks':
+      inner = jenksBreaks(sorted, count);
+      break;
+    case 'stddev':
+      inner = stddevBreaks(sorted, min, max, count);
+      break;
+    case 'log':
+      inner = logBreaks(sorted, max, count);
+      break;
+    default:
+      throw new Error(`Unknown classification method: ${method}`);
+  }
+
+  return [min, ...new Set(inner.filter((b) => b > min && b <= max)), max];
+};
+
+// Class of a value under the given breaks, matching d3.scaleThreshold
+export const classIndex = (breaks, value) => d3.bisectRight(breaks.slice(1, -1), value);
+
+// Threshold scale coloring each class. `colorFor(index, count, breaks)` picks a class color.
+// The scale carries its full breaks as `scale.breaks` for the legend.
+export const createClassifiedScale = (values, method, classes, colorFor) => {
+  const breaks = computeBreaks(values, method, classes);
+  const count = Math.max(breaks.length - 1, 1);
+  const colors = d3.range(count).map((i) => colorFor(i, count, breaks));
+
+  const scale = d3.scaleThreshold().domain(breaks.slice(1, -1)).range(colors);
+  scale.breaks = breaks;
+  return scale;
+};
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { classIndex, computeBreaks, computeMidpoint, createClassifiedScale } from './classification';
+
+const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+describe('computeBreaks', () => {
+  it('starts at the minimum and ends at the maximum', () => {
+    ['quantile', 'equal', 'jenks', 'stddev', 'log'].forEach((method) => {
+      const breaks = computeBreaks(values, method, 4);
+      expect(breaks[0]).toBe(1);
+      expect(breaks[breaks.length - 1]).toBe(10);
+    });
+  });
+
+  it('splits the range evenly for equal intervals', () => {
+    expect(computeBreaks([0, 10, 20, 30, 40], 'equal', 4)).toEqual([0, 10, 20, 30, 40]);
+  });
+
+  it('puts natural breaks between clusters', () => {
+    expect(computeBreaks([1, 2, 3, 50, 51, 52, 100, 101], 'jenks', 3)).toEqual([1, 50, 100, 101]);
+  });
+
+  it('ignores missing values and drops duplicate breaks', () => {
+    expect(computeBreaks([null, undefined, NaN], 'quantile', 5)).toEqual([]);
+    expect(computeBreaks([5, 5, 5, 5, null], 'quantile', 4)).toEqual([5, 5]);
+  });
+
+  it('throws for an unknown method', () => {
+    expect(() => computeBreaks(values, 'nope', 4)).toThrow('Unknown classification method: nope');
+  });
+});
+
+describe('classIndex', () => {
+  it('places values in their class like d3.scaleThreshold', () => {
+    const breaks = [0, 10, 20, 30];
+    expect([0, 5, 10, 25, 30].map((value) => classIndex(breaks, value))).toEqual([0, 0, 1, 2, 2]);
+  });
+});
+
+describe('createClassifiedScale', () => {
+  it('colors each class and carries its breaks', () => {
+    const scale = createClassifiedScale([0, 10, 20, 30, 40], 'equal', 4, (i) => `color-${i}`);
+    expect(scale.breaks).toEqual([0, 10, 20, 30, 40]);
+    expect(scale(5)).toBe('color-0');
+    expect(scale(40)).toBe('color-3');
+  });
+});
+
+describe('computeMidpoint', () => {
+  it('takes a percentile, the mean or a fixed value', () => {
+    expect(computeMidpoint(values, 'percentile', 0.3)).toBe(4);
+    expect(computeMidpoint(values, 'mean')).toBe(5.5);
+    expect(computeMidpoint(values, 'fixed', 7)).toBe(7);
+  });
+
+  it('throws for an unknown midpoint type', () => {
+    expect(() => computeMidpoint(values, 'median')).toThrow('Invalid cutoffType');
+  });
+});
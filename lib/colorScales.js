@@ -0,0 +1,50 @@
+import * as d3 from 'd3';
+import { classIndex, computeMidpoint, createClassifiedScale } from './classification';
+import { getAllMonthlyValues } from './months';
+
+// Color scales from palettes, shared by the map and the charts that color values the way
+// the map does.
+
+// Values of one property, filtering null/undefined
+export const getPropertyValues = (data, property) =>
+  data.features.map((f) => f.properties[property]).filter((v) => v !== null && v !== undefined);
+
+// Create a diverging scale around a midpoint (a percentile, the mean or a fixed value)
+export const createDivergingColorScale = (values, palette, cutoffType = 'percentile', cutoffValue = 0.3) => {
+  const midpoint = computeMidpoint(values, cutoffType, cutoffValue);
+
+  // Calculate the extent of the values
+  const [minValue, maxValue] = d3.extent(values);
+
+  return d3.scaleDiverging([minValue, midpoint, maxValue], palette.diverging); // Low, midpoint, high
+};
+
+// Create a fixed continuous scale for monthly data
+export const createFixedContinuousColorScale = (min, max, palette) => d3.scaleSequential([min, max], palette.sequential);
+
+// Create a class-based scale. Diverging classes change side at the class holding
+// the midpoint; sequential classes (monthly data) run along the sequential ramp.
+export const createClassifiedColorScale = (values, palette, method, classes, diverging, cutoffType, cutoffValue) => {
+  const midpoint = diverging ? computeMidpoint(values, cutoffType, cutoffValue) : null;
+
+  return createClassifiedScale(values, method, classes, (index, count, breaks) => {
+    if (!diverging) {
+      return palette.sequential(count > 1 ? index / (count - 1) : 1);
+    }
+    const midClass = classIndex(breaks, midpoint);
+    if (index < midClass) return palette.diverging((0.5 * index) / midClass);
+    if (index > midClass) return palette.diverging(0.5 + (0.5 * (index - midClass)) / (count - 1 - midClass));
+    return palette.diverging(0.5);
+  });
+};
+
+// The map's scale for monthly values: one range over every month (and year), so colors
+// compare across the timeline; classified along the sequential ramp unless continuous
+export const createMonthlyColorScale = (data, palette, classification, classes) => {
+  const values = getAllMonthlyValues(data);
+  if (classification !== 'continuous') {
+    return createClassifiedColorScale(values, palette, classification, classes, false);
+  }
+  const [min, max] = d3.extent(values);
+  return createFixedContinuousColorScale(min, max, palette);
+};
@@ -0,0 +1,122 @@
+import path from 'path';
+import fs from 'fs';
+import { MONTHS, deriveSingleYearProperties, monthProperty } from './months';
+import { DatasetError, validateFeature } from './validation';
+
+// Loading and validation of basin datasets. A dataset is either a single
+// GeoJSON file or a directory of them, configured through BASIN_DATA_PATH or
+// BASIN_DATA_DIR and defaulting to public/updated_mrb_basins.json.
+//
+// Files with a year in their name (e.g. basins_2010.json) hold that year's
+// months; their basins are merged so each feature carries `2010_jan` etc.
+
+const DEFAULT_DATA_FILE = path.join(process.cwd(), 'public', 'updated_mrb_basins.json');
+
+export { DatasetError, REQUIRED_PROPERTIES, validateFeature } from './validation';
+
+// Parsers by file extension; add an entry here to support another format
+export const loaders = {
+  '.json': (content) => JSON.parse(content),
+  '.geojson': (content) => JSON.parse(content),
+};
+
+// Year encoded in a dataset file name, or null
+export const fileYear = (file) => {
+  const match = path.basename(file).match(/(?:^|\D)(\d{4})(?:\D|$)/);
+  return match ? Number(match[1]) : null;
+};
+
+// Work out which files make up the configured dataset
+export const resolveDataSource = (env = process.env) => {
+  if (env.BASIN_DATA_DIR) {
+    const dir = path.resolve(env.BASIN_DATA_DIR);
+    if (!fs.existsSync(dir)) {
+      throw new DatasetError(`Dataset directory not found: ${dir}`);
+    }
+    const files = fs
+      .readdirSync(dir)
+      .filter((file) => loaders[path.extname(file).toLowerCase()])
+      .sort()
+      .map((file) => path.join(dir, file));
+    if (files.length === 0) {
+      throw new DatasetError(`No dataset files found in ${dir}`);
+    }
+    return files;
+  }
+
+  return [env.BASIN_DATA_PATH ? path.resolve(env.BASIN_DATA_PATH) : DEFAULT_DATA_FILE];
+};
+
+const readFile = (file) => {
+  if (!fs.existsSync(file)) {
+    throw new DatasetError(`Dataset file not found: ${file}`);
+  }
+
+  const loader = loaders[path.extname(file).toLowerCase()];
+  if (!loader) {
+    throw new DatasetError(`No loader for dataset file: ${file}`);
+  }
+
+  let data;
+  try {
+    data = loader(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new DatasetError(`Dataset file could not be parsed: ${file} (${error.message})`);
+  }
+
+  if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new DatasetError(`Dataset file is not a GeoJSON FeatureCollection: ${file}`);
+  }
+  return data;
+};
+
+// Load, merge and validate the configured dataset files
+export const loadDataset = (files = resolveDataSource()) => {
+  const features = [];
+  const issues = [];
+  const seen = new Map(); // RIVERBASIN -> { feature, source, yearly }
+  const yearFiles = new Map(); // year -> file name
+
+  files.forEach((file) => {
+    const source = path.basename(file);
+    const year = fileYear(file);
+    if (year && yearFiles.has(year)) {
+      // Merging would let one file's values silently replace the other's
+      issues.push({ source, feature: null, basin: null, property: null, message: `has the same year (${year}) as ${yearFiles.get(year)}` });
+      return;
+    }
+    if (year) yearFiles.set(year, source);
+
+    readFile(file).features.forEach((feature, index) => {
+      const featureIssues = validateFeature(feature, index, source);
+      issues.push(...featureIssues);
+      if (featureIssues.length > 0) return;
+
+      const { properties } = feature;
+      if (year) {
+        // A year's file may already key its months by year instead
+        MONTHS.forEach((month) => {
+          if (month in properties) properties[monthProperty(month, year)] = properties[month];
+        });
+      }
+
+      const previous = seen.get(properties.RIVERBASIN);
+      if (!previous) {
+        seen.set(properties.RIVERBASIN, { feature, source, yearly: Boolean(year) });
+        features.push(feature);
+      } else if (previous.source !== source && previous.yearly && year) {
+        // Same basin in another year's file: later years provide the top-level months
+        Object.assign(previous.feature.properties, properties);
+        previous.source = source;
+      } else {
+        issues.push({ source, feature: index, basin: properties.RIVERBASIN, property: 'RIVERBASIN', message: 'is a duplicate' });
+      }
+    });
+  });
+
+  if (issues.length > 0) {
+    throw new DatasetError(`Dataset failed validation with ${issues.length} problem(s)`, issues);
+  }
+
+  return deriveSingleYearProperties({ type: 'FeatureCollection', features });
+};
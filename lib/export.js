@@ -0,0 +1,108 @@
+import { MONTHS, getAnnualAverage, monthProperty } from './months';
+
+// Browser-side export helpers: tables, GeoJSON and chart images as file downloads.
+
+const CSV_COLUMNS = ['RIVERBASIN', 'CONTINENT', 'population', 'average'];
+
+// Quote a CSV field when it contains a separator, quote or line break
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Basin table as CSV; in multi-year datasets the average and monthly columns are the given year's.
+// Derived metrics, when given, are appended as one column each.
+export const featuresToCsv = (features, year = null, metrics = []) => {
+  const metricColumns = metrics.filter((metric) => !metric.error).map((metric) => metric.id);
+  const header = [...CSV_COLUMNS, ...(year ? ['year'] : []), ...MONTHS, ...metricColumns];
+  const rows = features.map(({ properties }) => [
+    ...CSV_COLUMNS.map((column) => (column === 'average' ? getAnnualAverage(properties, year) : properties[column])),
+    ...(year ? [year] : []),
+    ...MONTHS.map((month) => properties[monthProperty(month, year)]),
+    ...metricColumns.map((column) => properties[column]),
+  ]);
+
+  return [header, ...rows].map((row) => row.map(csvField).join(',')).join('\n');
+};
+
+export const featuresToGeoJson = (features) => JSON.stringify({ type: 'FeatureCollection', features });
+
+// Features with their full-detail geometry from `shapes` (a FeatureCollection from
+// /api/basins), matched by RIVERBASIN; features that have their own geometry keep it
+export const withGeometry = (features, shapes) => {
+  const geometries = new Map(shapes.features.map((f) => [f.properties.RIVERBASIN, f.geometry]));
+  return features.map((feature) =>
+    feature.geometry ? feature : { ...feature, geometry: geometries.get(feature.properties.RIVERBASIN) ?? null }
+  );
+};
+
+const triggerDownload = (href, filename) => {
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+// Save text content as a file
+export const downloadText = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  triggerDownload(url, filename);
+  setTimeout(() => URL.revokeObjectURL(url), 0); // After the browser has started the download
+};
+
+// Save a canvas as PNG on a solid background (Chart.js canvases are transparent)
+export const downloadCanvasPng = (canvas, filename, background = '#ffffff') => {
+  const copy = document.createElement('canvas');
+  copy.width = canvas.width;
+  copy.height = canvas.height;
+  const context = copy.getContext('2d');
+  context.fillStyle = background;
+  context.fillRect(0, 0, copy.width, copy.height);
+  context.drawImage(canvas, 0, 0);
+  triggerDownload(copy.toDataURL('image/png'), filename);
+};
+
+// Standalone SVG markup for an inline <svg> element
+export const serializeSvg = (svg) => {
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  const { width, height } = svg.getBoundingClientRect();
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  return new XMLSerializer().serializeToString(clone);
+};
+
+export const downloadSvg = (svg, filename) => {
+  downloadText(serializeSvg(svg), filename, 'image/svg+xml');
+};
+
+// Rasterize an inline <svg> element and save it as PNG
+export const downloadSvgPng = (svg, filename, background = '#ffffff') =>
+  new Promise((resolve, reject) => {
+    const { width, height } = svg.getBoundingClientRect();
+    const url = URL.createObjectURL(new Blob([serializeSvg(svg)], { type: 'image/svg+xml' }));
+    const image = new Image();
+
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      const scale = window.devicePixelRatio || 1;
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.fillStyle = background;
+      context.fillRect(0, 0, width, height);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      triggerDownload(canvas.toDataURL('image/png'), filename);
+      resolve();
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('SVG could not be rendered as an image'));
+    };
+    image.src = url;
+  });
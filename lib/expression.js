@@ -0,0 +1,219 @@
+// Safe arithmetic expressions over feature properties, e.g. `(jun + jul + aug) / 3`
+// or `average * population / 1e6`. Expressions are parsed into a tree and evaluated
+// directly; nothing is passed to eval or Function.
+//
+// Grammar: numbers, property names, + - * / % ^, parentheses, unary minus and the
+// functions in FUNCTIONS. Property names that are not plain identifiers (such as
+// `2010_jan`) can be written in square brackets: [2010_jan].
+
+export class ExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position + 1}`);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+const FUNCTIONS = {
+  abs: Math.abs,
+  sqrt: Math.sqrt,
+  log: Math.log,
+  log10: Math.log10,
+  exp: Math.exp,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  min: Math.min,
+  max: Math.max,
+  sum: (...args) => args.reduce((total, v) => total + v, 0),
+  mean: (...args) => args.reduce((total, v) => total + v, 0) / args.length,
+};
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const rest = source.slice(i);
+    let match;
+
+    if ((match = rest.match(/^\s+/))) {
+      i += match[0].length;
+    } else if ((match = rest.match(/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i))) {
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+    } else if ((match = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/))) {
+      tokens.push({ type: 'name', value: match[0], position: i });
+      i += match[0].length;
+    } else if ((match = rest.match(/^\[([^\]]+)\]/))) {
+      tokens.push({ type: 'name', value: match[1].trim(), position: i });
+      i += match[0].length;
+    } else if ('+-*/%^(),'.includes(rest[0])) {
+      tokens.push({ type: rest[0], position: i });
+      i += 1;
+    } else {
+      throw new ExpressionError(`Unexpected character "${rest[0]}"`, i);
+    }
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+};
+
+const describe = (token) => {
+  if (token.type === 'end') return 'Unexpected end of expression';
+  if (token.type === 'number' || token.type === 'name') return `Unexpected "${token.value}"`;
+  return `Unexpected "${token.type}"`;
+};
+
+// Recursive descent parser producing a tree of { type, ... } nodes
+const parse = (tokens) => {
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = (type) => {
+    const token = next();
+    if (token.type !== type) {
+      throw new ExpressionError(`Expected "${type}"`, token.position);
+    }
+    return token;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+    if (token.type === 'name') {
+      if (peek().type !== '(') {
+        return { type: 'property', name: token.value };
+      }
+      // Own names only, so Object.prototype members such as `constructor` are unknown
+      if (!Object.hasOwn(FUNCTIONS, token.value)) {
+        throw new ExpressionError(`Unknown function "${token.value}"`, token.position);
+      }
+      next();
+      const args = [];
+      if (peek().type !== ')') {
+        args.push(parseAdditive());
+        while (peek().type === ',') {
+          next();
+          args.push(parseAdditive());
+        }
+      }
+      expect(')');
+      return { type: 'call', name: token.value, args };
+    }
+    if (token.type === '(') {
+      const node = parseAdditive();
+      expect(')');
+      return node;
+    }
+    throw new ExpressionError(describe(token), token.position);
+  };
+
+  const parseUnary = () => {
+    if (peek().type === '-') {
+      next();
+      return { type: 'negate', operand: parseUnary() };
+    }
+    return parsePower();
+  };
+
+  // Exponentiation is right-associative
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek().type === '^') {
+      next();
+      return { type: 'binary', operator: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parseMultiplicative = () => {
+    let node = parseUnary();
+    while (['*', '/', '%'].includes(peek().type)) {
+      const operator = next().type;
+      node = { type: 'binary', operator, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseAdditive = () => {
+    let node = parseMultiplicative();
+    while (['+', '-'].includes(peek().type)) {
+      const operator = next().type;
+      node = { type: 'binary', operator, left: node, right: parseMultiplicative() };
+    }
+    return node;
+  };
+
+  const tree = parseAdditive();
+  if (peek().type !== 'end') {
+    throw new ExpressionError(describe(peek()), peek().position);
+  }
+  return tree;
+};
+
+const BINARY = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b,
+  '^': (a, b) => a ** b,
+};
+
+// Missing properties make the whole result null ("no data"), as do non-finite results
+const evaluate = (node, properties) => {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'property': {
+      const value = properties[node.name];
+      return typeof value === 'number' ? value : null;
+    }
+    case 'negate': {
+      const value = evaluate(node.operand, properties);
+      return value === null ? null : -value;
+    }
+    case 'binary': {
+      const left = evaluate(node.left, properties);
+      const right = evaluate(node.right, properties);
+      return left === null || right === null ? null : BINARY[node.operator](left, right);
+    }
+    case 'call': {
+      const args = node.args.map((arg) => evaluate(arg, properties));
+      return args.includes(null) ? null : FUNCTIONS[node.name](...args);
+    }
+    default:
+      return null;
+  }
+};
+
+const collectProperties = (node, names = new Set()) => {
+  if (node.type === 'property') names.add(node.name);
+  if (node.operand) collectProperties(node.operand, names);
+  if (node.left) collectProperties(node.left, names);
+  if (node.right) collectProperties(node.right, names);
+  if (node.args) node.args.forEach((arg) => collectProperties(arg, names));
+  return names;
+};
+
+// Parse an expression once; returns the property names it reads and an evaluator.
+// Throws ExpressionError for invalid input.
+export const compileExpression = (source) => {
+  if (!source || !source.trim()) {
+    throw new ExpressionError('Expression is empty');
+  }
+  const tree = parse(tokenize(source));
+
+  return {
+    properties: [...collectProperties(tree)],
+    evaluate: (properties) => {
+      const value = evaluate(tree, properties);
+      return Number.isFinite(value) ? value : null;
+    },
+  };
+};
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { ExpressionError, compileExpression } from './expression';
+
+describe('compileExpression', () => {
+  it('evaluates arithmetic with precedence, unary minus and right-associative powers', () => {
+    expect(compileExpression('1 + 2 * 3').evaluate({})).toBe(7);
+    expect(compileExpression('(1 + 2) * 3').evaluate({})).toBe(9);
+    expect(compileExpression('-2 ^ 2').evaluate({})).toBe(-4);
+    expect(compileExpression('2 ^ 3 ^ 2').evaluate({})).toBe(512);
+  });
+
+  it('reads properties, including bracketed names, and lists them', () => {
+    const compiled = compileExpression('(jun + jul + [2010_aug]) / 3');
+    expect(compiled.properties).toEqual(['jun', 'jul', '2010_aug']);
+    expect(compiled.evaluate({ jun: 3, jul: 6, '2010_aug': 9 })).toBe(6);
+  });
+
+  it('calls the listed functions', () => {
+    expect(compileExpression('max(1, 5, 3)').evaluate({})).toBe(5);
+    expect(compileExpression('mean(jan, feb)').evaluate({ jan: 2, feb: 4 })).toBe(3);
+    expect(compileExpression('round(sqrt(10))').evaluate({})).toBe(3);
+  });
+
+  it('returns null for missing properties and non-finite results', () => {
+    expect(compileExpression('jan + missing').evaluate({ jan: 1 })).toBeNull();
+    expect(compileExpression('jan').evaluate({ jan: 'text' })).toBeNull();
+    expect(compileExpression('1 / 0').evaluate({})).toBeNull();
+  });
+
+  it('rejects invalid input with an ExpressionError', () => {
+    expect(() => compileExpression('')).toThrow(ExpressionError);
+    expect(() => compileExpression('1 +')).toThrow('Unexpected end of expression');
+    expect(() => compileExpression('1 $ 2')).toThrow('Unexpected character "$" at position 3');
+    expect(() => compileExpression('nope(1)')).toThrow('Unknown function "nope"');
+  });
+
+  it('rejects Object.prototype members as functions', () => {
+    ['__defineGetter__(1, 2)', 'constructor(1)', 'toString()', 'hasOwnProperty(1)'].forEach((source) => {
+      expect(() => compileExpression(source)).toThrow(ExpressionError);
+    });
+  });
+
+  it('treats Object.prototype member names as missing properties', () => {
+    expect(compileExpression('constructor + 1').evaluate({})).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+// Basin filters shared by every view: a continent checklist and value ranges on any
+// property (raw, monthly or derived). { continents: [], ranges: { property: [min, max] } };
+// an empty continent list allows all continents and a null range end is open.
+
+export const EMPTY_FILTERS = { continents: [], ranges: {} };
+
+export const hasActiveFilters = (filters) =>
+  filters.continents.length > 0 || Object.keys(filters.ranges).length > 0;
+
+const inRange = (value, [min, max]) =>
+  value !== null && value !== undefined && (min === null || value >= min) && (max === null || value <= max);
+
+export const matchesFilters = (properties, filters) =>
+  (filters.continents.length === 0 || filters.continents.includes(properties.CONTINENT)) &&
+  Object.entries(filters.ranges).every(([property, range]) => inRange(properties[property], range));
+
+export const filterFeatures = (features, filters) =>
+  hasActiveFilters(filters) ? features.filter((f) => matchesFilters(f.properties, filters)) : features;
+
+// Filters with one property's range replaced; a null range (or one open at both ends) removes it
+export const setRange = (filters, property, range) => {
+  const ranges = { ...filters.ranges };
+  if (!range || (range[0] === null && range[1] === null)) {
+    delete ranges[property];
+  } else {
+    ranges[property] = range;
+  }
+  return { ...filters, ranges };
+};
+
+// URL query form: continents=Asia,Europe and filter_<property>=min,max with either end empty
+const RANGE_PREFIX = 'filter_';
+
+const toBound = (text) => (text === '' || Number.isNaN(Number(text)) ? null : Number(text));
+
+export const parseFilters = (query) => {
+  const ranges = {};
+  Object.entries(query).forEach(([key, value]) => {
+    if (!key.startsWith(RANGE_PREFIX)) return;
+    const [min = '', max = ''] = String(value).split(',');
+    const range = [toBound(min), toBound(max)];
+    if (range[0] !== null || range[1] !== null) ranges[key.slice(RANGE_PREFIX.length)] = range;
+  });
+  return {
+    continents: query.continents ? String(query.continents).split(',').filter(Boolean) : [],
+    ranges,
+  };
+};
+
+export const serializeFilters = (filters) => {
+  const query = {};
+  if (filters.continents.length > 0) query.continents = filters.continents.join(',');
+  Object.entries(filters.ranges).forEach(([property, [min, max]]) => {
+    query[`${RANGE_PREFIX}${property}`] = `${min ?? ''},${max ?? ''}`;
+  });
+  return query;
+};
@@ -0,0 +1,102 @@
+import * as d3 from 'd3';
+
+// GeoJSON geometry helpers shared by the server index and the browser.
+
+// Walk any GeoJSON geometry and return its planar [minLon, minLat, maxLon, maxLat]
+export const computeBbox = (geometry) => {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+
+  const visit = (coords) => {
+    if (typeof coords[0] === 'number') {
+      bbox[0] = Math.min(bbox[0], coords[0]);
+      bbox[1] = Math.min(bbox[1], coords[1]);
+      bbox[2] = Math.max(bbox[2], coords[0]);
+      bbox[3] = Math.max(bbox[3], coords[1]);
+      return;
+    }
+    coords.forEach(visit);
+  };
+
+  if (geometry?.type === 'GeometryCollection') {
+    geometry.geometries.forEach((g) => visit(g.coordinates));
+  } else if (geometry?.coordinates) {
+    visit(geometry.coordinates);
+  }
+
+  return bbox[0] === Infinity ? null : bbox;
+};
+
+// Leaflet bounds [[south, west], [north, east]] of a bbox
+export const bboxToLatLngBounds = ([minLon, minLat, maxLon, maxLat]) => [
+  [minLat, minLon],
+  [maxLat, maxLon],
+];
+
+// [lon, lat] center of a bbox
+export const bboxCenter = ([minLon, minLat, maxLon, maxLat]) => [(minLon + maxLon) / 2, (minLat + maxLat) / 2];
+
+// Unit vectors of the arrow-key directions in [lon, lat]
+const DIRECTIONS = { left: [-1, 0], right: [1, 0], up: [0, 1], down: [0, -1] };
+
+// Of `points` ([{ id, point }]), the nearest one lying in a direction ('left', 'right',
+// 'up' or 'down') from `from`. Points off the direction's axis count as farther, so
+// moving right prefers the next basin east over a nearer one to the north-east.
+export const nearestInDirection = (points, from, direction) => {
+  const [dx, dy] = DIRECTIONS[direction];
+  let best = null;
+  let bestScore = Infinity;
+  points.forEach((entry) => {
+    const offsetX = entry.point[0] - from[0];
+    const offsetY = entry.point[1] - from[1];
+    const along = offsetX * dx + offsetY * dy;
+    if (along <= 0) return;
+    const across = Math.abs(offsetX * dy - offsetY * dx);
+    const score = along + 2 * across;
+    if (score < bestScore) {
+      best = entry;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+// Every [lon, lat] vertex of a geometry, in order
+export const geometryVertices = (geometry) => {
+  const vertices = [];
+  const visit = (coords) => (typeof coords[0] === 'number' ? vertices.push(coords) : coords.forEach(visit));
+  if (geometry?.type === 'GeometryCollection') {
+    geometry.geometries.forEach((g) => visit(g.coordinates));
+  } else if (geometry?.coordinates) {
+    visit(geometry.coordinates);
+  }
+  return vertices;
+};
+
+// Whether a [lon, lat] point lies within a bbox, a cheap check before geometryContains
+export const bboxContains = ([minLon, minLat, maxLon, maxLat], [lon, lat]) =>
+  lon >= minLon && lon <= maxLon && lat >= minLat && lat <= maxLat;
+
+// Planar point-in-polygon test, which unlike d3.geoContains does not depend on ring winding
+const polygonContains = (rings, point) =>
+  d3.polygonContains(rings[0], point) && !rings.slice(1).some((hole) => d3.polygonContains(hole, point));
+
+export const geometryContains = (geometry, point) => {
+  if (geometry?.type === 'Polygon') return polygonContains(geometry.coordinates, point);
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates.some((rings) => polygonContains(rings, point));
+  return false;
+};
+
+// Levels of detail for the map's simplified geometry, coarsest first. Each level serves
+// zooms up to its maxZoom; the last one keeps every vertex.
+export const DETAIL_LEVELS = [{ maxZoom: 3 }, { maxZoom: 5 }, { maxZoom: 7 }, { maxZoom: Infinity }];
+
+export const detailLevelForZoom = (zoom) => DETAIL_LEVELS.findIndex((level) => zoom <= level.maxZoom);
+
+// Smallest triangle area (in square degrees) that simplification keeps at a level:
+// about one square pixel at the level's deepest zoom, so the removed detail is invisible
+export const detailMinWeight = (level) => {
+  const { maxZoom } = DETAIL_LEVELS[level];
+  if (!Number.isFinite(maxZoom)) return 0;
+  const pixel = 360 / (256 * 2 ** maxZoom);
+  return pixel * pixel;
+};
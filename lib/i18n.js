@@ -0,0 +1,73 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { useRouter } from 'next/router';
+import en from './messages/en';
+import es from './messages/es';
+import fr from './messages/fr';
+
+// UI languages and their message catalogs. The codes match `i18n.locales` in
+// next.config.ts, which puts the language in the URL (/es, /fr; English has no prefix).
+export const LOCALES = {
+  en: { label: 'English', messages: en },
+  es: { label: 'Español', messages: es },
+  fr: { label: 'Français', messages: fr },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+const lookup = (locale, key) => LOCALES[locale]?.messages[key] ?? en[key];
+
+// Message for a key with `{name}` placeholders filled from params. Keys missing from a
+// catalog fall back to English, then to the key itself. A numeric `count` param picks
+// the plural form `key.one`, `key.other`, ... by the locale's plural rules.
+export const translate = (locale, key, params = {}) => {
+  const plural =
+    typeof params.count === 'number'
+      ? lookup(locale, `${key}.${new Intl.PluralRules(locale).select(params.count)}`) ?? lookup(locale, `${key}.other`)
+      : undefined;
+  const message = plural ?? lookup(locale, key) ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+// Number formatting for a locale: plain numbers, compact numbers (1.2M), percentages of
+// a fraction, values with a unit (Intl unit identifiers such as 'millimeter') and
+// short month names.
+export const createFormatters = (locale) => {
+  const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 });
+  const compact = new Intl.NumberFormat(locale, { notation: 'compact', maximumFractionDigits: 1 });
+  const percent = new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 1 });
+  const months = new Intl.DateTimeFormat(locale, { month: 'short', timeZone: 'UTC' });
+
+  return {
+    formatNumber: (value) => number.format(value),
+    formatCompact: (value) => compact.format(value),
+    formatPercent: (fraction) => percent.format(fraction),
+    formatUnit: (value, unit, options = {}) =>
+      new Intl.NumberFormat(locale, { style: 'unit', unit, maximumFractionDigits: 2, ...options }).format(value),
+    monthLabels: Array.from({ length: 12 }, (_, i) => months.format(Date.UTC(2000, i, 1))),
+  };
+};
+
+// Ordinal numbers (1st, 1.º, 1er) from the `common.ordinal.*` messages
+const createOrdinal = (locale) => {
+  const rules = new Intl.PluralRules(locale, { type: 'ordinal' });
+  return (n) => translate(locale, `common.ordinal.${rules.select(n)}`, { n });
+};
+
+const createI18n = (locale) => ({
+  locale,
+  t: (key, params) => translate(locale, key, params),
+  formatOrdinal: createOrdinal(locale),
+  ...createFormatters(locale),
+});
+
+const I18nContext = createContext(createI18n(DEFAULT_LOCALE));
+
+// Provides the current route's language to useI18n()
+export const I18nProvider = ({ children }) => {
+  const { locale = DEFAULT_LOCALE } = useRouter();
+  const value = useMemo(() => createI18n(LOCALES[locale] ? locale : DEFAULT_LOCALE), [locale]);
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+// { locale, t, formatOrdinal, formatNumber, formatCompact, formatPercent, formatUnit, monthLabels }
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,314 @@
+// English UI messages, the fallback for keys missing from other catalogs.
+// `{name}` placeholders are filled in by `t(key, { name })`.
+const en = {
+  'common.noData': 'No Data',
+  'common.language': 'Language',
+
+  'home.title': 'Water Scarcity Through Time',
+  'home.loading': 'Loading...',
+  'home.loadingDetail': 'Fetching data and preparing the map...',
+  'home.paletteTitle': 'Color palette used by the map, legend and charts',
+  'home.exportPinned': '{count} pinned basins',
+  'home.exportFiltered': '{count} filtered basins',
+  'home.exportAll': 'All {count} basins',
+  'home.moderateScarcity': 'Moderate scarcity',
+  'home.severeScarcity': 'Severe scarcity',
+
+  'tour.welcomeTitle': 'Welcome to the Page!',
+  'tour.welcomeText': 'This is an interactive guide to help you navigate the features of this page.',
+  'tour.welcomeStart': 'Click Next to begin the tour.',
+  'tour.map': 'This is the interactive map. Click on a basin to explore water scarcity data.',
+  'tour.barChart': 'Here you can see a bar chart representing water scarcity data.',
+  'tour.treeMap':
+    'This section shows a tree map with the area being water scarcity level multiplied by population. This is to highlight the total effect.',
+  'tour.property': 'Choose what the map colors basins by: population, average scarcity, one month, or a derived metric.',
+  'tour.pinned': 'Basins you click are pinned here, and the charts compare them. Click × to unpin one.',
+  'tour.filters': 'Filter basins by continent or by a value range; the map fades the basins that do not match.',
+  'tour.stats': 'Statistics for the selected basin, and how scarcity is spread over all basins.',
+  'tour.dataTable': 'Every basin with its monthly values. Sort by any column and click a row to pin the basin.',
+  'tour.help': 'Open this menu to take this tour again, or a short tour of one feature.',
+  'tour.monthSlider': 'Drag the slider to show another month on the map.',
+  'tour.yearSelect': 'Pick the year the map, charts and statistics show.',
+  'tour.play': 'Play steps through the months, and the years, like an animation.',
+  'tour.classification': 'Color the values on a continuous scale or in classes such as quantiles or natural breaks.',
+  'tour.legend': 'The legend shows which color stands for which values.',
+  'tour.rivers': 'Show or hide the rivers. Hover over a river to see the basins it flows through.',
+  'tour.basemap': 'Choose the basemap under the basins.',
+  'tour.treeMapSize': 'Choose the measure that sets the size of each tile.',
+  'tour.treeMapColor': 'Color the tiles by continent or by a measure.',
+  'tour.back': 'Back',
+  'tour.close': 'Close',
+  'tour.last': 'Last',
+  'tour.next': 'Next',
+  'tour.open': 'Open the dialog',
+  'tour.skip': 'Skip',
+
+  'barChart.empty': 'Select a basin on the map to see the chart',
+  'barChart.noData': 'No data available for this basin',
+  'barChart.chart': 'Chart',
+  'barChart.mode.bars': 'Bars',
+  'barChart.mode.lines': 'Overlaid lines',
+  'barChart.mode.allYears': 'All years',
+  'barChart.mode.context': 'vs. continent and global mean',
+  'barChart.mode.cumulative': 'Cumulative shortage',
+  'barChart.mode.anomaly': 'Anomaly from global mean',
+  'barChart.title.trends': 'Water Scarcity Trends for {basins}',
+  'barChart.title.byYear': 'Water Scarcity by Year for {basins}',
+  'barChart.title.context': '{basins} vs. Continent and Global Means',
+  'barChart.title.cumulative': 'Cumulative Water Shortage for {basins}',
+  'barChart.title.anomaly': '{basins} vs. Global Monthly Mean',
+  'barChart.inYear': '{title} in {year}',
+  'barChart.vsBaseline': '{title} vs. baseline',
+  'barChart.monthlyShortage': 'Monthly Water Shortage for {basin}',
+  'barChart.baseline': 'Baseline',
+  'barChart.basinBaseline': '{basin} (baseline)',
+  'barChart.basinScenario': '{basin} ({scenario})',
+  'barChart.continentMean': '{continent} mean',
+  'barChart.globalMean': 'Global mean',
+  'barChart.scenario': 'Scenario',
+  'barChart.tooltip.shortage': '{amount} of water shortage',
+  'barChart.tooltip.cumulative': '{amount} of water shortage so far',
+  'barChart.tooltip.anomaly': '{amount} from the global mean',
+  'barChart.tooltip.series': '{label}: {text}',
+
+  'treeMap.allContinents': 'All continents',
+  'treeMap.levelLabel': 'Treemap level',
+  'treeMap.sizeTitle': "Measure that sets the size of each basin's tile",
+  'treeMap.colorTitle': "Measure that sets the color of each basin's tile",
+  'treeMap.sizeBy': 'Size by: {measure}',
+  'treeMap.colorBy': 'Color by: {measure}',
+  'treeMap.continent': 'Continent',
+  'treeMap.unknownContinent': 'Unknown',
+  'treeMap.zoomIn': 'Click to zoom in',
+  'treeMap.waterScarcity': 'Water Scarcity: {value}',
+  'treeMap.population': 'Population: {value}',
+  'treeMap.subtotal': '{continent} subtotal: {value}',
+
+  'map.keyboardLabel':
+    'Basin map. Use the arrow keys to move between basins, Enter to pin or unpin the selected basin, Escape to clear the selection and + or - to zoom.',
+  'map.basemap': 'Basemap',
+  'map.rivers': 'Show rivers',
+  'map.property': 'Property shown on the map',
+  'map.classification': 'Color classification',
+  'map.classes': 'Number of classes',
+  'map.midpoint': 'Midpoint of the diverging colors',
+  'map.midpointPercentile': 'Midpoint percentile (0-1)',
+  'map.midpointValue': 'Midpoint value',
+  'map.year': 'Year',
+  'map.month': 'Month',
+  'map.play': 'Play the timeline',
+  'map.pause': 'Pause the timeline',
+  'map.lasso': 'Draw a region with the lasso',
+
+  'a11y.selected': '{basin}, {continent}: average scarcity {value}',
+  'a11y.selectedPinned': '{basin}, {continent}: average scarcity {value}, pinned',
+  'a11y.showTable': 'Show the data as a table',
+  'a11y.month': 'Month',
+  'a11y.basin': 'Basin',
+  'a11y.treeMapSummary': 'Treemap of {scope} sized by {measure}, total {total}. The data is also available as a table below.',
+
+  'help.label': 'Help and guided tours',
+  'help.tour.main': 'Tour of the page',
+  'help.tour.timeline': 'Month slider and timeline',
+  'help.tour.property': 'Map property and colors',
+  'help.tour.layers': 'Rivers and basemap',
+  'help.tour.treemap': 'Treemap',
+
+  'regions.title': 'Regions',
+  'regions.groupBy': 'Group basins by',
+  'regions.group.none': 'Lasso regions only',
+  'regions.group.continent': 'Continent',
+  'regions.group.upload': 'Uploaded regions ({file})',
+  'regions.group.noUpload': 'Uploaded regions (none loaded)',
+  'regions.upload': 'Region GeoJSON',
+  'regions.lassoHint': 'Draw around basins with the lasso on the map to group them into a region.',
+  'regions.uploadError': 'The region file could not be used',
+  'regions.empty': 'No regions yet.',
+  'regions.region': 'Region',
+  'regions.basins': 'Basins',
+  'regions.population': 'Population',
+  'regions.scarcity': 'Weighted scarcity',
+  'regions.actions': 'Actions',
+  'regions.chart': 'Chart',
+  'regions.remove': 'Remove {name}',
+  'regions.lassoName': 'Lasso {n}',
+
+  'report.title': '{basin} basin report',
+  'report.summary': '{continent} · population {population} · average scarcity {average}',
+  'report.year': '({year})',
+  'report.openDashboard': 'Open in the dashboard',
+  'report.print': 'Print or save as PDF',
+  'report.open': 'Printable report',
+  'report.map': 'Map',
+  'report.mapLabel': 'Map of the {basin} basin and its neighbors, colored by average scarcity',
+  'report.noMap': 'No map is available for this basin.',
+  'report.chart': 'Monthly scarcity',
+  'report.stats': 'Summary statistics',
+  'report.neighbors': 'Neighboring basins by scarcity',
+  'report.neighborsNote': 'Basins sharing a border, then the nearest basins, highest scarcity first.',
+  'report.basin': 'Basin',
+  'report.continent': 'Continent',
+  'report.distance': 'Distance',
+  'report.bordering': 'Bordering',
+  'report.scarcity': 'Average scarcity',
+  'report.difference': 'Compared with {basin}',
+
+  'common.basin': 'Basin',
+  'common.continent': 'Continent',
+  'common.ordinal.one': '{n}st',
+  'common.ordinal.two': '{n}nd',
+  'common.ordinal.few': '{n}rd',
+  'common.ordinal.other': '{n}th',
+
+  'property.population': 'Population',
+  'property.average': 'Average Scarcity',
+  'property.monthly': 'Monthly Data',
+
+  'map.derivedMetrics': 'Derived metrics',
+  'map.difference': 'Difference from baseline',
+  'map.differenceTitle': 'Scenario minus baseline, with zero at the middle of the colors',
+  'map.noBasemap': 'No basemap',
+  'map.popupBasin': 'Basin',
+  'map.popupRiver': 'River',
+  'map.unknownBasin': 'Unknown basin',
+  'map.unnamedRiver': 'Unnamed river',
+  'map.basinScarcity': 'Basin scarcity',
+
+  'classification.continuous': 'Continuous',
+  'classification.quantile': 'Quantile',
+  'classification.equal': 'Equal interval',
+  'classification.jenks': 'Natural breaks (Jenks)',
+  'classification.stddev': 'Standard deviation',
+  'classification.log': 'Log scale',
+  'midpoint.percentile': 'Percentile',
+  'midpoint.mean': 'Mean',
+  'midpoint.fixed': 'Fixed value',
+  'palette.colorblind': 'Colorblind-safe (blue–brown)',
+  'palette.viridis': 'Viridis',
+  'palette.cividis': 'Cividis',
+  'palette.puor': 'ColorBrewer PuOr',
+  'palette.rdylbu': 'ColorBrewer RdYlBu',
+  'palette.classic': 'Classic',
+
+  'metrics.title': 'Metrics',
+  'metrics.moderateFrom': 'Moderate scarcity from',
+  'metrics.severeFrom': 'Severe scarcity (months above threshold counts months over)',
+  'metrics.remove': 'Remove {label}',
+  'metrics.name': 'Metric name',
+  'metrics.namePlaceholder': 'e.g. Summer mean',
+  'metrics.nameRequired': 'Give the metric a name',
+  'metrics.expression': 'Expression',
+  'metrics.expressionPlaceholder': 'e.g. (jun + jul + aug) / 3',
+  'metrics.add': 'Add metric',
+  'metrics.help':
+    'Use property names such as {examples} (bracket other names: {bracketed}), + - * / % ^ and abs, sqrt, log, log10, exp, round, floor, ceil, min, max, sum, mean.',
+  'metrics.scarcity_population': 'Scarcity × population',
+  'metrics.scarcity_per_capita': 'Scarcity per million people',
+  'metrics.months_above_threshold': 'Months above threshold',
+  'metrics.seasonal_variability': 'Seasonal variability (std-dev)',
+  'metrics.peak_month': 'Peak month',
+
+  'stats.selected': 'Selected basin statistics',
+  'stats.all': 'Statistics for all basins',
+  'stats.empty': 'Select or pin a basin to see its statistics.',
+  'stats.noMonthly': 'No monthly data for {basin}.',
+  'stats.caption': '{basin} in {year}',
+  'stats.annualTotal': 'Annual total',
+  'stats.average': 'Average',
+  'stats.peakMonth': 'Peak month',
+  'stats.lowestMonth': 'Lowest month',
+  'stats.severeMonths': 'Months above {threshold} (severe)',
+  'stats.monthsOf': '{n} of {total}',
+  'stats.variation': 'Coefficient of variation',
+  'stats.rankAll': 'Rank among all basins',
+  'stats.rankContinent': 'Rank in {continent}',
+  'stats.rank.one': '{ordinal} percentile of {count} basin',
+  'stats.rank.other': '{ordinal} percentile of {count} basins',
+  'stats.allTitle': 'Scarcity across all basins',
+  'stats.allTitleYear': 'Scarcity across all basins (averages for {year})',
+  'stats.count': 'Count',
+  'stats.min': 'Min',
+  'stats.q1': 'Q1',
+  'stats.median': 'Median',
+  'stats.q3': 'Q3',
+  'stats.max': 'Max',
+  'stats.mean': 'Mean',
+  'stats.deviation': 'Std-dev',
+  'stats.basinAverages': 'Basin averages',
+  'stats.monthlyValues': 'All monthly values',
+  'stats.rankSize': 'Basins at each end',
+  'stats.highest': 'Highest',
+  'stats.lowest': 'Lowest',
+  'stats.noData': 'No basin has data for this year.',
+
+  'scenarios.title': 'Scenarios',
+  'scenarios.active': 'Scenario: {name}',
+  'scenarios.dataset': 'Dataset',
+  'scenarios.baseline': 'Baseline',
+  'scenarios.difference': 'Map the difference (scenario − baseline)',
+  'scenarios.details.one': '({count} basin, added {date})',
+  'scenarios.details.other': '({count} basins, added {date})',
+  'scenarios.delete': 'Delete {name}',
+  'scenarios.upload': 'Upload a scenario',
+  'scenarios.uploadHelp':
+    "GeoJSON with the baseline's properties, a CSV of basin properties joined on RIVERBASIN, or a zipped shapefile. Scenarios stay in this browser.",
+  'scenarios.name': 'Scenario name',
+  'scenarios.namePlaceholder': 'Scenario name (defaults to the file name)',
+  'scenarios.file': 'Scenario file',
+  'scenarios.checking': 'Checking the file…',
+  'scenarios.error': 'Scenario could not be used',
+
+  'dataTable.average': 'Average',
+  'dataTable.scarcityPopulation': 'Scarcity × pop.',
+  'dataTable.monthly': 'Monthly',
+  'dataTable.filter': 'Filter by basin or continent',
+  'dataTable.filterLabel': 'Filter table rows',
+  'dataTable.rows.one': '{count} basin',
+  'dataTable.rows.other': '{count} basins',
+  'dataTable.pageSize': 'Rows per page',
+  'dataTable.caption': 'Basin data',
+  'dataTable.captionYear': 'Basin data for {year}',
+  'dataTable.empty': 'No basins to show',
+  'dataTable.previous': 'Previous',
+  'dataTable.page': 'Page {page} of {pages}',
+  'dataTable.next': 'Next',
+
+  'ranked.caption': 'Basins ranked by {property}',
+  'ranked.empty': 'No basins match the filters',
+
+  'filters.matching.one': '{matching} of {count} basin matches',
+  'filters.matching.other': '{matching} of {count} basins match',
+  'filters.clear': 'Clear filters',
+  'filters.remove': 'Remove {label} filter',
+  'filters.histogram': 'Histogram of basin values; drag to filter by range, or use the minimum and maximum fields',
+  'filters.minimum': 'Minimum',
+  'filters.maximum': 'Maximum',
+  'filters.minimumOf': 'Minimum {label}',
+  'filters.maximumOf': 'Maximum {label}',
+  'filters.noValues': 'No values to filter',
+  'filters.continents': 'Continents',
+  'filters.continentsHint': 'None checked shows every continent.',
+
+  'pinned.empty': 'Click basins on the map to pin them for comparison.',
+  'pinned.unpin': 'Unpin {basin}',
+  'pinned.clear': 'Clear all',
+
+  'export.title': 'Export',
+  'export.csv': 'Table (CSV)',
+  'export.geojson': 'Features (GeoJSON)',
+  'export.barChart': 'Bar chart (PNG)',
+  'export.treeMapPng': 'Treemap (PNG)',
+  'export.treeMapSvg': 'Treemap (SVG)',
+
+  'search.label': 'Search basins and rivers',
+  'search.noMatches': 'No matches',
+  'search.river': 'River',
+
+  'dataError.title': 'Basin data could not be loaded',
+  'dataError.file': 'File',
+  'dataError.feature': 'Feature',
+  'dataError.problem': 'Problem',
+  'dataError.more': '…and {count} more.',
+};
+
+export default en;
@@ -0,0 +1,314 @@
+// Spanish UI messages
+const es = {
+  'common.noData': 'Sin datos',
+  'common.language': 'Idioma',
+
+  'home.title': 'La escasez de agua a lo largo del tiempo',
+  'home.loading': 'Cargando...',
+  'home.loadingDetail': 'Obteniendo los datos y preparando el mapa...',
+  'home.paletteTitle': 'Paleta de colores del mapa, la leyenda y los gráficos',
+  'home.exportPinned': '{count} cuencas fijadas',
+  'home.exportFiltered': '{count} cuencas filtradas',
+  'home.exportAll': 'Las {count} cuencas',
+  'home.moderateScarcity': 'Escasez moderada',
+  'home.severeScarcity': 'Escasez grave',
+
+  'tour.welcomeTitle': '¡Bienvenido!',
+  'tour.welcomeText': 'Esta guía interactiva le ayuda a recorrer las funciones de la página.',
+  'tour.welcomeStart': 'Pulse Siguiente para comenzar el recorrido.',
+  'tour.map': 'Este es el mapa interactivo. Haga clic en una cuenca para explorar sus datos de escasez de agua.',
+  'tour.barChart': 'Aquí puede ver un gráfico de barras con los datos de escasez de agua.',
+  'tour.treeMap':
+    'Esta sección muestra un mapa de árbol cuya área es el nivel de escasez de agua multiplicado por la población, para destacar el efecto total.',
+  'tour.property': 'Elija cómo colorea el mapa las cuencas: población, escasez media, un mes o una métrica derivada.',
+  'tour.pinned': 'Las cuencas en las que hace clic se fijan aquí y los gráficos las comparan. Pulse × para soltar una.',
+  'tour.filters': 'Filtre las cuencas por continente o por un rango de valores; el mapa atenúa las que no coinciden.',
+  'tour.stats': 'Estadísticas de la cuenca seleccionada y cómo se reparte la escasez entre todas las cuencas.',
+  'tour.dataTable': 'Todas las cuencas con sus valores mensuales. Ordene por cualquier columna y haga clic en una fila para fijar la cuenca.',
+  'tour.help': 'Abra este menú para repetir este recorrido o ver uno breve de una función.',
+  'tour.monthSlider': 'Arrastre el control deslizante para mostrar otro mes en el mapa.',
+  'tour.yearSelect': 'Elija el año que muestran el mapa, los gráficos y las estadísticas.',
+  'tour.play': 'Reproducir recorre los meses, y los años, como una animación.',
+  'tour.classification': 'Coloree los valores en una escala continua o por clases, como cuantiles o cortes naturales.',
+  'tour.legend': 'La leyenda indica qué valores representa cada color.',
+  'tour.rivers': 'Muestre u oculte los ríos. Pase el cursor sobre un río para ver las cuencas que atraviesa.',
+  'tour.basemap': 'Elija el mapa base bajo las cuencas.',
+  'tour.treeMapSize': 'Elija la medida que fija el tamaño de cada recuadro.',
+  'tour.treeMapColor': 'Coloree los recuadros por continente o por una medida.',
+  'tour.back': 'Atrás',
+  'tour.close': 'Cerrar',
+  'tour.last': 'Último',
+  'tour.next': 'Siguiente',
+  'tour.open': 'Abrir el diálogo',
+  'tour.skip': 'Omitir',
+
+  'barChart.empty': 'Seleccione una cuenca en el mapa para ver el gráfico',
+  'barChart.noData': 'No hay datos para esta cuenca',
+  'barChart.chart': 'Gráfico',
+  'barChart.mode.bars': 'Barras',
+  'barChart.mode.lines': 'Líneas superpuestas',
+  'barChart.mode.allYears': 'Todos los años',
+  'barChart.mode.context': 'frente a la media continental y mundial',
+  'barChart.mode.cumulative': 'Déficit acumulado',
+  'barChart.mode.anomaly': 'Anomalía respecto a la media mundial',
+  'barChart.title.trends': 'Evolución de la escasez de agua en {basins}',
+  'barChart.title.byYear': 'Escasez de agua por año en {basins}',
+  'barChart.title.context': '{basins} frente a las medias continental y mundial',
+  'barChart.title.cumulative': 'Déficit de agua acumulado en {basins}',
+  'barChart.title.anomaly': '{basins} frente a la media mensual mundial',
+  'barChart.inYear': '{title} en {year}',
+  'barChart.vsBaseline': '{title} frente a la línea base',
+  'barChart.monthlyShortage': 'Déficit mensual de agua en {basin}',
+  'barChart.baseline': 'Línea base',
+  'barChart.basinBaseline': '{basin} (línea base)',
+  'barChart.basinScenario': '{basin} ({scenario})',
+  'barChart.continentMean': 'Media de {continent}',
+  'barChart.globalMean': 'Media mundial',
+  'barChart.scenario': 'Escenario',
+  'barChart.tooltip.shortage': '{amount} de déficit de agua',
+  'barChart.tooltip.cumulative': '{amount} de déficit de agua acumulado',
+  'barChart.tooltip.anomaly': '{amount} respecto a la media mundial',
+  'barChart.tooltip.series': '{label}: {text}',
+
+  'treeMap.allContinents': 'Todos los continentes',
+  'treeMap.levelLabel': 'Nivel del mapa de árbol',
+  'treeMap.sizeTitle': 'Medida que fija el tamaño de cada cuenca',
+  'treeMap.colorTitle': 'Medida que fija el color de cada cuenca',
+  'treeMap.sizeBy': 'Tamaño: {measure}',
+  'treeMap.colorBy': 'Color: {measure}',
+  'treeMap.continent': 'Continente',
+  'treeMap.unknownContinent': 'Desconocido',
+  'treeMap.zoomIn': 'Haga clic para ampliar',
+  'treeMap.waterScarcity': 'Escasez de agua: {value}',
+  'treeMap.population': 'Población: {value}',
+  'treeMap.subtotal': 'Subtotal de {continent}: {value}',
+
+  'map.keyboardLabel':
+    'Mapa de cuencas. Use las flechas para moverse entre cuencas, Intro para fijar o soltar la cuenca seleccionada, Escape para borrar la selección y + o - para acercar o alejar.',
+  'map.basemap': 'Mapa base',
+  'map.rivers': 'Mostrar los ríos',
+  'map.property': 'Propiedad mostrada en el mapa',
+  'map.classification': 'Clasificación de colores',
+  'map.classes': 'Número de clases',
+  'map.midpoint': 'Punto medio de los colores divergentes',
+  'map.midpointPercentile': 'Percentil del punto medio (0-1)',
+  'map.midpointValue': 'Valor del punto medio',
+  'map.year': 'Año',
+  'map.month': 'Mes',
+  'map.play': 'Reproducir la línea de tiempo',
+  'map.pause': 'Pausar la línea de tiempo',
+  'map.lasso': 'Dibujar una región con el lazo',
+
+  'a11y.selected': '{basin}, {continent}: escasez media {value}',
+  'a11y.selectedPinned': '{basin}, {continent}: escasez media {value}, fijada',
+  'a11y.showTable': 'Mostrar los datos como tabla',
+  'a11y.month': 'Mes',
+  'a11y.basin': 'Cuenca',
+  'a11y.treeMapSummary': 'Mapa de árbol de {scope} por {measure}, total {total}. Los datos también están en la tabla de abajo.',
+
+  'help.label': 'Ayuda y recorridos guiados',
+  'help.tour.main': 'Recorrido por la página',
+  'help.tour.timeline': 'Control de meses y línea de tiempo',
+  'help.tour.property': 'Propiedad y colores del mapa',
+  'help.tour.layers': 'Ríos y mapa base',
+  'help.tour.treemap': 'Mapa de árbol',
+
+  'regions.title': 'Regiones',
+  'regions.groupBy': 'Agrupar cuencas por',
+  'regions.group.none': 'Solo regiones del lazo',
+  'regions.group.continent': 'Continente',
+  'regions.group.upload': 'Regiones subidas ({file})',
+  'regions.group.noUpload': 'Regiones subidas (ninguna cargada)',
+  'regions.upload': 'GeoJSON de regiones',
+  'regions.lassoHint': 'Rodea cuencas con el lazo en el mapa para agruparlas en una región.',
+  'regions.uploadError': 'No se pudo usar el archivo de regiones',
+  'regions.empty': 'Todavía no hay regiones.',
+  'regions.region': 'Región',
+  'regions.basins': 'Cuencas',
+  'regions.population': 'Población',
+  'regions.scarcity': 'Escasez ponderada',
+  'regions.actions': 'Acciones',
+  'regions.chart': 'Gráfico',
+  'regions.remove': 'Quitar {name}',
+  'regions.lassoName': 'Lazo {n}',
+
+  'report.title': 'Informe de la cuenca {basin}',
+  'report.summary': '{continent} · población {population} · escasez media {average}',
+  'report.year': '({year})',
+  'report.openDashboard': 'Abrir en el panel',
+  'report.print': 'Imprimir o guardar como PDF',
+  'report.open': 'Informe imprimible',
+  'report.map': 'Mapa',
+  'report.mapLabel': 'Mapa de la cuenca {basin} y sus vecinas, coloreado por escasez media',
+  'report.noMap': 'No hay mapa disponible para esta cuenca.',
+  'report.chart': 'Escasez mensual',
+  'report.stats': 'Estadísticas resumidas',
+  'report.neighbors': 'Cuencas vecinas por escasez',
+  'report.neighborsNote': 'Cuencas que comparten frontera y luego las más cercanas, de mayor a menor escasez.',
+  'report.basin': 'Cuenca',
+  'report.continent': 'Continente',
+  'report.distance': 'Distancia',
+  'report.bordering': 'Limítrofe',
+  'report.scarcity': 'Escasez media',
+  'report.difference': 'Comparada con {basin}',
+
+  'common.basin': 'Cuenca',
+  'common.continent': 'Continente',
+  'common.ordinal.one': '{n}.º',
+  'common.ordinal.two': '{n}.º',
+  'common.ordinal.few': '{n}.º',
+  'common.ordinal.other': '{n}.º',
+
+  'property.population': 'Población',
+  'property.average': 'Escasez media',
+  'property.monthly': 'Datos mensuales',
+
+  'map.derivedMetrics': 'Métricas derivadas',
+  'map.difference': 'Diferencia con la referencia',
+  'map.differenceTitle': 'Escenario menos referencia, con el cero en el centro de los colores',
+  'map.noBasemap': 'Sin mapa base',
+  'map.popupBasin': 'Cuenca',
+  'map.popupRiver': 'Río',
+  'map.unknownBasin': 'Cuenca desconocida',
+  'map.unnamedRiver': 'Río sin nombre',
+  'map.basinScarcity': 'Escasez de las cuencas',
+
+  'classification.continuous': 'Continua',
+  'classification.quantile': 'Cuantiles',
+  'classification.equal': 'Intervalos iguales',
+  'classification.jenks': 'Cortes naturales (Jenks)',
+  'classification.stddev': 'Desviación típica',
+  'classification.log': 'Escala logarítmica',
+  'midpoint.percentile': 'Percentil',
+  'midpoint.mean': 'Media',
+  'midpoint.fixed': 'Valor fijo',
+  'palette.colorblind': 'Apta para daltónicos (azul–marrón)',
+  'palette.viridis': 'Viridis',
+  'palette.cividis': 'Cividis',
+  'palette.puor': 'ColorBrewer PuOr',
+  'palette.rdylbu': 'ColorBrewer RdYlBu',
+  'palette.classic': 'Clásica',
+
+  'metrics.title': 'Métricas',
+  'metrics.moderateFrom': 'Escasez moderada desde',
+  'metrics.severeFrom': 'Escasez grave (meses sobre el umbral cuenta los meses por encima)',
+  'metrics.remove': 'Quitar {label}',
+  'metrics.name': 'Nombre de la métrica',
+  'metrics.namePlaceholder': 'p. ej. Media de verano',
+  'metrics.nameRequired': 'Ponga un nombre a la métrica',
+  'metrics.expression': 'Expresión',
+  'metrics.expressionPlaceholder': 'p. ej. (jun + jul + aug) / 3',
+  'metrics.add': 'Añadir métrica',
+  'metrics.help':
+    'Use nombres de propiedades como {examples} (ponga otros nombres entre corchetes: {bracketed}), + - * / % ^ y abs, sqrt, log, log10, exp, round, floor, ceil, min, max, sum, mean.',
+  'metrics.scarcity_population': 'Escasez × población',
+  'metrics.scarcity_per_capita': 'Escasez por millón de habitantes',
+  'metrics.months_above_threshold': 'Meses sobre el umbral',
+  'metrics.seasonal_variability': 'Variabilidad estacional (desv. típica)',
+  'metrics.peak_month': 'Mes de máximo',
+
+  'stats.selected': 'Estadísticas de la cuenca seleccionada',
+  'stats.all': 'Estadísticas de todas las cuencas',
+  'stats.empty': 'Seleccione o fije una cuenca para ver sus estadísticas.',
+  'stats.noMonthly': 'No hay datos mensuales de {basin}.',
+  'stats.caption': '{basin} en {year}',
+  'stats.annualTotal': 'Total anual',
+  'stats.average': 'Media',
+  'stats.peakMonth': 'Mes de máximo',
+  'stats.lowestMonth': 'Mes de mínimo',
+  'stats.severeMonths': 'Meses por encima de {threshold} (grave)',
+  'stats.monthsOf': '{n} de {total}',
+  'stats.variation': 'Coeficiente de variación',
+  'stats.rankAll': 'Posición entre todas las cuencas',
+  'stats.rankContinent': 'Posición en {continent}',
+  'stats.rank.one': 'percentil {ordinal} de {count} cuenca',
+  'stats.rank.other': 'percentil {ordinal} de {count} cuencas',
+  'stats.allTitle': 'Escasez en todas las cuencas',
+  'stats.allTitleYear': 'Escasez en todas las cuencas (medias de {year})',
+  'stats.count': 'Número',
+  'stats.min': 'Mín.',
+  'stats.q1': 'Q1',
+  'stats.median': 'Mediana',
+  'stats.q3': 'Q3',
+  'stats.max': 'Máx.',
+  'stats.mean': 'Media',
+  'stats.deviation': 'Desv. típ.',
+  'stats.basinAverages': 'Medias de las cuencas',
+  'stats.monthlyValues': 'Todos los valores mensuales',
+  'stats.rankSize': 'Cuencas en cada extremo',
+  'stats.highest': 'Más altas',
+  'stats.lowest': 'Más bajas',
+  'stats.noData': 'Ninguna cuenca tiene datos de este año.',
+
+  'scenarios.title': 'Escenarios',
+  'scenarios.active': 'Escenario: {name}',
+  'scenarios.dataset': 'Conjunto de datos',
+  'scenarios.baseline': 'Referencia',
+  'scenarios.difference': 'Mapear la diferencia (escenario − referencia)',
+  'scenarios.details.one': '({count} cuenca, añadido el {date})',
+  'scenarios.details.other': '({count} cuencas, añadido el {date})',
+  'scenarios.delete': 'Eliminar {name}',
+  'scenarios.upload': 'Subir un escenario',
+  'scenarios.uploadHelp':
+    'GeoJSON con las propiedades de la referencia, un CSV de propiedades de cuencas unido por RIVERBASIN o un shapefile comprimido. Los escenarios se quedan en este navegador.',
+  'scenarios.name': 'Nombre del escenario',
+  'scenarios.namePlaceholder': 'Nombre del escenario (por defecto, el del archivo)',
+  'scenarios.file': 'Archivo del escenario',
+  'scenarios.checking': 'Comprobando el archivo…',
+  'scenarios.error': 'No se pudo usar el escenario',
+
+  'dataTable.average': 'Media',
+  'dataTable.scarcityPopulation': 'Escasez × pobl.',
+  'dataTable.monthly': 'Mensual',
+  'dataTable.filter': 'Filtrar por cuenca o continente',
+  'dataTable.filterLabel': 'Filtrar las filas de la tabla',
+  'dataTable.rows.one': '{count} cuenca',
+  'dataTable.rows.other': '{count} cuencas',
+  'dataTable.pageSize': 'Filas por página',
+  'dataTable.caption': 'Datos de las cuencas',
+  'dataTable.captionYear': 'Datos de las cuencas de {year}',
+  'dataTable.empty': 'No hay cuencas que mostrar',
+  'dataTable.previous': 'Anterior',
+  'dataTable.page': 'Página {page} de {pages}',
+  'dataTable.next': 'Siguiente',
+
+  'ranked.caption': 'Cuencas ordenadas por {property}',
+  'ranked.empty': 'Ninguna cuenca cumple los filtros',
+
+  'filters.matching.one': '{matching} de {count} cuenca coincide',
+  'filters.matching.other': '{matching} de {count} cuencas coinciden',
+  'filters.clear': 'Quitar los filtros',
+  'filters.remove': 'Quitar el filtro de {label}',
+  'filters.histogram':
+    'Histograma de los valores de las cuencas; arrastre para filtrar por rango o use los campos de mínimo y máximo',
+  'filters.minimum': 'Mínimo',
+  'filters.maximum': 'Máximo',
+  'filters.minimumOf': 'Mínimo de {label}',
+  'filters.maximumOf': 'Máximo de {label}',
+  'filters.noValues': 'No hay valores que filtrar',
+  'filters.continents': 'Continentes',
+  'filters.continentsHint': 'Si no marca ninguno, se muestran todos los continentes.',
+
+  'pinned.empty': 'Haga clic en las cuencas del mapa para fijarlas y compararlas.',
+  'pinned.unpin': 'Soltar {basin}',
+  'pinned.clear': 'Soltar todas',
+
+  'export.title': 'Exportar',
+  'export.csv': 'Tabla (CSV)',
+  'export.geojson': 'Entidades (GeoJSON)',
+  'export.barChart': 'Gráfico de barras (PNG)',
+  'export.treeMapPng': 'Mapa de árbol (PNG)',
+  'export.treeMapSvg': 'Mapa de árbol (SVG)',
+
+  'search.label': 'Buscar cuencas y ríos',
+  'search.noMatches': 'Sin resultados',
+  'search.river': 'Río',
+
+  'dataError.title': 'No se pudieron cargar los datos de las cuencas',
+  'dataError.file': 'Archivo',
+  'dataError.feature': 'Entidad',
+  'dataError.problem': 'Problema',
+  'dataError.more': '…y {count} más.',
+};
+
+export default es;
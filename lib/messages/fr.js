@@ -0,0 +1,314 @@
+// French UI messages
+const fr = {
+  'common.noData': 'Aucune donnée',
+  'common.language': 'Langue',
+
+  'home.title': "La pénurie d'eau au fil du temps",
+  'home.loading': 'Chargement...',
+  'home.loadingDetail': 'Récupération des données et préparation de la carte...',
+  'home.paletteTitle': 'Palette de couleurs de la carte, de la légende et des graphiques',
+  'home.exportPinned': '{count} bassins épinglés',
+  'home.exportFiltered': '{count} bassins filtrés',
+  'home.exportAll': 'Les {count} bassins',
+  'home.moderateScarcity': 'Pénurie modérée',
+  'home.severeScarcity': 'Pénurie sévère',
+
+  'tour.welcomeTitle': 'Bienvenue !',
+  'tour.welcomeText': 'Ce guide interactif vous aide à découvrir les fonctions de la page.',
+  'tour.welcomeStart': 'Cliquez sur Suivant pour commencer la visite.',
+  'tour.map': "Voici la carte interactive. Cliquez sur un bassin pour explorer ses données de pénurie d'eau.",
+  'tour.barChart': "Ce graphique en barres présente les données de pénurie d'eau.",
+  'tour.treeMap':
+    "Cette section présente une carte proportionnelle dont l'aire est le niveau de pénurie d'eau multiplié par la population, pour souligner l'effet total.",
+  'tour.property': 'Choisissez ce que la carte représente : population, pénurie moyenne, un mois ou une mesure dérivée.',
+  'tour.pinned': 'Les bassins sur lesquels vous cliquez sont épinglés ici et les graphiques les comparent. Cliquez sur × pour en retirer un.',
+  'tour.filters': 'Filtrez les bassins par continent ou par plage de valeurs ; la carte estompe ceux qui ne correspondent pas.',
+  'tour.stats': 'Les statistiques du bassin sélectionné et la répartition de la pénurie entre tous les bassins.',
+  'tour.dataTable': 'Tous les bassins avec leurs valeurs mensuelles. Triez par colonne et cliquez sur une ligne pour épingler le bassin.',
+  'tour.help': 'Ouvrez ce menu pour refaire cette visite ou suivre une courte visite d’une fonction.',
+  'tour.monthSlider': 'Faites glisser le curseur pour afficher un autre mois sur la carte.',
+  'tour.yearSelect': 'Choisissez l’année affichée par la carte, les graphiques et les statistiques.',
+  'tour.play': 'Lecture fait défiler les mois, et les années, comme une animation.',
+  'tour.classification': 'Colorez les valeurs sur une échelle continue ou par classes, comme les quantiles ou les seuils naturels.',
+  'tour.legend': 'La légende indique les valeurs que représente chaque couleur.',
+  'tour.rivers': 'Affichez ou masquez les rivières. Survolez une rivière pour voir les bassins qu’elle traverse.',
+  'tour.basemap': 'Choisissez le fond de carte sous les bassins.',
+  'tour.treeMapSize': 'Choisissez la mesure qui fixe la taille de chaque case.',
+  'tour.treeMapColor': 'Colorez les cases par continent ou selon une mesure.',
+  'tour.back': 'Retour',
+  'tour.close': 'Fermer',
+  'tour.last': 'Terminer',
+  'tour.next': 'Suivant',
+  'tour.open': 'Ouvrir la boîte de dialogue',
+  'tour.skip': 'Passer',
+
+  'barChart.empty': 'Sélectionnez un bassin sur la carte pour afficher le graphique',
+  'barChart.noData': 'Aucune donnée pour ce bassin',
+  'barChart.chart': 'Graphique',
+  'barChart.mode.bars': 'Barres',
+  'barChart.mode.lines': 'Lignes superposées',
+  'barChart.mode.allYears': 'Toutes les années',
+  'barChart.mode.context': 'face aux moyennes continentale et mondiale',
+  'barChart.mode.cumulative': 'Déficit cumulé',
+  'barChart.mode.anomaly': 'Écart à la moyenne mondiale',
+  'barChart.title.trends': "Évolution de la pénurie d'eau pour {basins}",
+  'barChart.title.byYear': "Pénurie d'eau par année pour {basins}",
+  'barChart.title.context': '{basins} face aux moyennes continentale et mondiale',
+  'barChart.title.cumulative': "Déficit d'eau cumulé pour {basins}",
+  'barChart.title.anomaly': '{basins} face à la moyenne mensuelle mondiale',
+  'barChart.inYear': '{title} en {year}',
+  'barChart.vsBaseline': '{title} face à la référence',
+  'barChart.monthlyShortage': "Déficit mensuel d'eau pour {basin}",
+  'barChart.baseline': 'Référence',
+  'barChart.basinBaseline': '{basin} (référence)',
+  'barChart.basinScenario': '{basin} ({scenario})',
+  'barChart.continentMean': 'Moyenne {continent}',
+  'barChart.globalMean': 'Moyenne mondiale',
+  'barChart.scenario': 'Scénario',
+  'barChart.tooltip.shortage': "{amount} de déficit d'eau",
+  'barChart.tooltip.cumulative': "{amount} de déficit d'eau cumulé",
+  'barChart.tooltip.anomaly': '{amount} par rapport à la moyenne mondiale',
+  'barChart.tooltip.series': '{label} : {text}',
+
+  'treeMap.allContinents': 'Tous les continents',
+  'treeMap.levelLabel': 'Niveau de la carte proportionnelle',
+  'treeMap.sizeTitle': 'Mesure qui fixe la taille de chaque bassin',
+  'treeMap.colorTitle': 'Mesure qui fixe la couleur de chaque bassin',
+  'treeMap.sizeBy': 'Taille : {measure}',
+  'treeMap.colorBy': 'Couleur : {measure}',
+  'treeMap.continent': 'Continent',
+  'treeMap.unknownContinent': 'Inconnu',
+  'treeMap.zoomIn': 'Cliquez pour zoomer',
+  'treeMap.waterScarcity': "Pénurie d'eau : {value}",
+  'treeMap.population': 'Population : {value}',
+  'treeMap.subtotal': 'Sous-total {continent} : {value}',
+
+  'map.keyboardLabel':
+    'Carte des bassins. Utilisez les flèches pour passer d’un bassin à l’autre, Entrée pour épingler ou désépingler le bassin sélectionné, Échap pour effacer la sélection et + ou - pour zoomer.',
+  'map.basemap': 'Fond de carte',
+  'map.rivers': 'Afficher les rivières',
+  'map.property': 'Propriété affichée sur la carte',
+  'map.classification': 'Classification des couleurs',
+  'map.classes': 'Nombre de classes',
+  'map.midpoint': 'Point milieu des couleurs divergentes',
+  'map.midpointPercentile': 'Centile du point milieu (0-1)',
+  'map.midpointValue': 'Valeur du point milieu',
+  'map.year': 'Année',
+  'map.month': 'Mois',
+  'map.play': 'Lancer la chronologie',
+  'map.pause': 'Mettre la chronologie en pause',
+  'map.lasso': 'Dessiner une région au lasso',
+
+  'a11y.selected': '{basin}, {continent} : pénurie moyenne {value}',
+  'a11y.selectedPinned': '{basin}, {continent} : pénurie moyenne {value}, épinglé',
+  'a11y.showTable': 'Afficher les données sous forme de tableau',
+  'a11y.month': 'Mois',
+  'a11y.basin': 'Bassin',
+  'a11y.treeMapSummary': 'Carte proportionnelle de {scope} selon {measure}, total {total}. Les données figurent aussi dans le tableau ci-dessous.',
+
+  'help.label': 'Aide et visites guidées',
+  'help.tour.main': 'Visite de la page',
+  'help.tour.timeline': 'Curseur des mois et chronologie',
+  'help.tour.property': 'Propriété et couleurs de la carte',
+  'help.tour.layers': 'Rivières et fond de carte',
+  'help.tour.treemap': 'Carte proportionnelle',
+
+  'regions.title': 'Régions',
+  'regions.groupBy': 'Regrouper les bassins par',
+  'regions.group.none': 'Régions au lasso seulement',
+  'regions.group.continent': 'Continent',
+  'regions.group.upload': 'Régions importées ({file})',
+  'regions.group.noUpload': 'Régions importées (aucune chargée)',
+  'regions.upload': 'GeoJSON de régions',
+  'regions.lassoHint': 'Entourez des bassins au lasso sur la carte pour les regrouper en une région.',
+  'regions.uploadError': "Le fichier de régions n'a pas pu être utilisé",
+  'regions.empty': 'Aucune région pour le moment.',
+  'regions.region': 'Région',
+  'regions.basins': 'Bassins',
+  'regions.population': 'Population',
+  'regions.scarcity': 'Pénurie pondérée',
+  'regions.actions': 'Actions',
+  'regions.chart': 'Graphique',
+  'regions.remove': 'Retirer {name}',
+  'regions.lassoName': 'Lasso {n}',
+
+  'report.title': 'Rapport du bassin {basin}',
+  'report.summary': '{continent} · population {population} · pénurie moyenne {average}',
+  'report.year': '({year})',
+  'report.openDashboard': 'Ouvrir dans le tableau de bord',
+  'report.print': 'Imprimer ou enregistrer en PDF',
+  'report.open': 'Rapport imprimable',
+  'report.map': 'Carte',
+  'report.mapLabel': 'Carte du bassin {basin} et de ses voisins, colorée selon la pénurie moyenne',
+  'report.noMap': "Aucune carte n'est disponible pour ce bassin.",
+  'report.chart': 'Pénurie mensuelle',
+  'report.stats': 'Statistiques',
+  'report.neighbors': 'Bassins voisins par pénurie',
+  'report.neighborsNote': 'Bassins frontaliers, puis les plus proches, de la plus forte pénurie à la plus faible.',
+  'report.basin': 'Bassin',
+  'report.continent': 'Continent',
+  'report.distance': 'Distance',
+  'report.bordering': 'Frontalier',
+  'report.scarcity': 'Pénurie moyenne',
+  'report.difference': 'Par rapport à {basin}',
+
+  'common.basin': 'Bassin',
+  'common.continent': 'Continent',
+  'common.ordinal.one': '{n}er',
+  'common.ordinal.two': '{n}e',
+  'common.ordinal.few': '{n}e',
+  'common.ordinal.other': '{n}e',
+
+  'property.population': 'Population',
+  'property.average': 'Pénurie moyenne',
+  'property.monthly': 'Données mensuelles',
+
+  'map.derivedMetrics': 'Indicateurs dérivés',
+  'map.difference': 'Écart à la référence',
+  'map.differenceTitle': 'Scénario moins référence, avec le zéro au milieu des couleurs',
+  'map.noBasemap': 'Sans fond de carte',
+  'map.popupBasin': 'Bassin',
+  'map.popupRiver': 'Rivière',
+  'map.unknownBasin': 'Bassin inconnu',
+  'map.unnamedRiver': 'Rivière sans nom',
+  'map.basinScarcity': 'Pénurie des bassins',
+
+  'classification.continuous': 'Continue',
+  'classification.quantile': 'Quantiles',
+  'classification.equal': 'Intervalles égaux',
+  'classification.jenks': 'Seuils naturels (Jenks)',
+  'classification.stddev': 'Écart type',
+  'classification.log': 'Échelle logarithmique',
+  'midpoint.percentile': 'Centile',
+  'midpoint.mean': 'Moyenne',
+  'midpoint.fixed': 'Valeur fixe',
+  'palette.colorblind': 'Adaptée aux daltoniens (bleu–brun)',
+  'palette.viridis': 'Viridis',
+  'palette.cividis': 'Cividis',
+  'palette.puor': 'ColorBrewer PuOr',
+  'palette.rdylbu': 'ColorBrewer RdYlBu',
+  'palette.classic': 'Classique',
+
+  'metrics.title': 'Indicateurs',
+  'metrics.moderateFrom': 'Pénurie modérée à partir de',
+  'metrics.severeFrom': 'Pénurie sévère (mois au-dessus du seuil compte les mois supérieurs)',
+  'metrics.remove': 'Supprimer {label}',
+  'metrics.name': "Nom de l'indicateur",
+  'metrics.namePlaceholder': 'p. ex. Moyenne estivale',
+  'metrics.nameRequired': "Donnez un nom à l'indicateur",
+  'metrics.expression': 'Expression',
+  'metrics.expressionPlaceholder': 'p. ex. (jun + jul + aug) / 3',
+  'metrics.add': 'Ajouter un indicateur',
+  'metrics.help':
+    'Utilisez des noms de propriétés comme {examples} (mettez les autres noms entre crochets : {bracketed}), + - * / % ^ et abs, sqrt, log, log10, exp, round, floor, ceil, min, max, sum, mean.',
+  'metrics.scarcity_population': 'Pénurie × population',
+  'metrics.scarcity_per_capita': "Pénurie par million d'habitants",
+  'metrics.months_above_threshold': 'Mois au-dessus du seuil',
+  'metrics.seasonal_variability': 'Variabilité saisonnière (écart type)',
+  'metrics.peak_month': 'Mois du pic',
+
+  'stats.selected': 'Statistiques du bassin sélectionné',
+  'stats.all': 'Statistiques de tous les bassins',
+  'stats.empty': 'Sélectionnez ou épinglez un bassin pour voir ses statistiques.',
+  'stats.noMonthly': 'Aucune donnée mensuelle pour {basin}.',
+  'stats.caption': '{basin} en {year}',
+  'stats.annualTotal': 'Total annuel',
+  'stats.average': 'Moyenne',
+  'stats.peakMonth': 'Mois du pic',
+  'stats.lowestMonth': 'Mois le plus bas',
+  'stats.severeMonths': 'Mois au-dessus de {threshold} (sévère)',
+  'stats.monthsOf': '{n} sur {total}',
+  'stats.variation': 'Coefficient de variation',
+  'stats.rankAll': 'Rang parmi tous les bassins',
+  'stats.rankContinent': 'Rang en {continent}',
+  'stats.rank.one': '{ordinal} centile sur {count} bassin',
+  'stats.rank.other': '{ordinal} centile sur {count} bassins',
+  'stats.allTitle': 'Pénurie dans tous les bassins',
+  'stats.allTitleYear': 'Pénurie dans tous les bassins (moyennes de {year})',
+  'stats.count': 'Effectif',
+  'stats.min': 'Min',
+  'stats.q1': 'Q1',
+  'stats.median': 'Médiane',
+  'stats.q3': 'Q3',
+  'stats.max': 'Max',
+  'stats.mean': 'Moyenne',
+  'stats.deviation': 'Écart type',
+  'stats.basinAverages': 'Moyennes des bassins',
+  'stats.monthlyValues': 'Toutes les valeurs mensuelles',
+  'stats.rankSize': 'Bassins à chaque extrémité',
+  'stats.highest': 'Les plus élevés',
+  'stats.lowest': 'Les plus faibles',
+  'stats.noData': "Aucun bassin n'a de données pour cette année.",
+
+  'scenarios.title': 'Scénarios',
+  'scenarios.active': 'Scénario : {name}',
+  'scenarios.dataset': 'Jeu de données',
+  'scenarios.baseline': 'Référence',
+  'scenarios.difference': "Cartographier l'écart (scénario − référence)",
+  'scenarios.details.one': '({count} bassin, ajouté le {date})',
+  'scenarios.details.other': '({count} bassins, ajouté le {date})',
+  'scenarios.delete': 'Supprimer {name}',
+  'scenarios.upload': 'Importer un scénario',
+  'scenarios.uploadHelp':
+    'GeoJSON avec les propriétés de la référence, CSV de propriétés de bassins joint sur RIVERBASIN, ou shapefile compressé. Les scénarios restent dans ce navigateur.',
+  'scenarios.name': 'Nom du scénario',
+  'scenarios.namePlaceholder': 'Nom du scénario (par défaut, celui du fichier)',
+  'scenarios.file': 'Fichier du scénario',
+  'scenarios.checking': 'Vérification du fichier…',
+  'scenarios.error': "Le scénario n'a pas pu être utilisé",
+
+  'dataTable.average': 'Moyenne',
+  'dataTable.scarcityPopulation': 'Pénurie × pop.',
+  'dataTable.monthly': 'Mensuel',
+  'dataTable.filter': 'Filtrer par bassin ou continent',
+  'dataTable.filterLabel': 'Filtrer les lignes du tableau',
+  'dataTable.rows.one': '{count} bassin',
+  'dataTable.rows.other': '{count} bassins',
+  'dataTable.pageSize': 'Lignes par page',
+  'dataTable.caption': 'Données des bassins',
+  'dataTable.captionYear': 'Données des bassins pour {year}',
+  'dataTable.empty': 'Aucun bassin à afficher',
+  'dataTable.previous': 'Précédente',
+  'dataTable.page': 'Page {page} sur {pages}',
+  'dataTable.next': 'Suivante',
+
+  'ranked.caption': 'Bassins classés par {property}',
+  'ranked.empty': 'Aucun bassin ne correspond aux filtres',
+
+  'filters.matching.one': 'Correspondance : {matching} sur {count} bassin',
+  'filters.matching.other': 'Correspondance : {matching} sur {count} bassins',
+  'filters.clear': 'Effacer les filtres',
+  'filters.remove': 'Supprimer le filtre {label}',
+  'filters.histogram':
+    'Histogramme des valeurs des bassins ; faites glisser pour filtrer par plage, ou utilisez les champs minimum et maximum',
+  'filters.minimum': 'Minimum',
+  'filters.maximum': 'Maximum',
+  'filters.minimumOf': 'Minimum de {label}',
+  'filters.maximumOf': 'Maximum de {label}',
+  'filters.noValues': 'Aucune valeur à filtrer',
+  'filters.continents': 'Continents',
+  'filters.continentsHint': "Si aucun n'est coché, tous les continents sont affichés.",
+
+  'pinned.empty': 'Cliquez sur des bassins de la carte pour les épingler et les comparer.',
+  'pinned.unpin': 'Retirer {basin}',
+  'pinned.clear': 'Tout retirer',
+
+  'export.title': 'Exporter',
+  'export.csv': 'Tableau (CSV)',
+  'export.geojson': 'Entités (GeoJSON)',
+  'export.barChart': 'Graphique en barres (PNG)',
+  'export.treeMapPng': 'Carte proportionnelle (PNG)',
+  'export.treeMapSvg': 'Carte proportionnelle (SVG)',
+
+  'search.label': 'Rechercher des bassins et des rivières',
+  'search.noMatches': 'Aucun résultat',
+  'search.river': 'Rivière',
+
+  'dataError.title': "Les données des bassins n'ont pas pu être chargées",
+  'dataError.file': 'Fichier',
+  'dataError.feature': 'Entité',
+  'dataError.problem': 'Problème',
+  'dataError.more': '…et {count} de plus.',
+};
+
+export default fr;
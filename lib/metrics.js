@@ -0,0 +1,131 @@
+import * as d3 from 'd3';
+import { MONTHS, MONTH_LABELS, getAnnualAverage, getKnownMonthlyValues, monthProperty } from './months';
+import { compileExpression } from './expression';
+
+// Derived metrics computed from basin properties. Each metric is stored on the
+// feature under its id, so the map, treemap, tooltips and exports read derived
+// values exactly like raw properties. The labels here are English; localizeMetrics
+// gives the built-in ones their 'metrics.*' messages.
+//
+// Metrics use the selected year's months in multi-year datasets. `context` holds
+// { year, threshold } where threshold is the cutoff for "months above threshold".
+
+export const BUILT_IN_METRICS = [
+  {
+    id: 'scarcity_population',
+    label: 'Scarcity × population',
+    compute: (properties, { year }) => {
+      const average = getAnnualAverage(properties, year);
+      return average === undefined || average === null || properties.population === null
+        ? null
+        : average * properties.population;
+    },
+  },
+  {
+    id: 'scarcity_per_capita',
+    label: 'Scarcity per million people',
+    compute: (properties, { year }) => {
+      const average = getAnnualAverage(properties, year);
+      return properties.population ? (average * 1e6) / properties.population : null;
+    },
+  },
+  {
+    id: 'months_above_threshold',
+    label: 'Months above threshold',
+    compute: (properties, { year, threshold }) =>
+      getKnownMonthlyValues(properties, year).filter((v) => v > threshold).length,
+  },
+  {
+    id: 'seasonal_variability',
+    label: 'Seasonal variability (std-dev)',
+    compute: (properties, { year }) => {
+      const values = getKnownMonthlyValues(properties, year);
+      return values.length > 1 ? d3.deviation(values) : null;
+    },
+  },
+  {
+    id: 'peak_month',
+    label: 'Peak month',
+    compute: (properties, { year }) => {
+      const values = MONTHS.map((month) => properties[monthProperty(month, year)] ?? -Infinity);
+      const index = d3.maxIndex(values);
+      return values[index] === -Infinity ? null : index + 1;
+    },
+    format: (value) => MONTH_LABELS[value - 1],
+  },
+];
+
+// Property id for a user-defined metric, unique among the others
+const customMetricId = (label, taken) => {
+  const base = `custom_${label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'metric'}`;
+  let id = base;
+  for (let i = 2; taken.has(id); i++) id = `${base}_${i}`;
+  return id;
+};
+
+// Built-in metrics followed by the user's expressions ([{ label, expression }]).
+// Expressions that fail to compile are returned with an `error` and no compute.
+export const buildMetrics = (customDefinitions = []) => {
+  const taken = new Set(BUILT_IN_METRICS.map((m) => m.id));
+
+  const custom = customDefinitions.map(({ label, expression }) => {
+    const id = customMetricId(label, taken);
+    taken.add(id);
+    try {
+      const compiled = compileExpression(expression);
+      return { id, label, expression, custom: true, compute: (properties) => compiled.evaluate(properties) };
+    } catch (error) {
+      return { id, label, expression, custom: true, error: error.message };
+    }
+  });
+
+  return [...BUILT_IN_METRICS, ...custom];
+};
+
+// Metrics with the built-in labels, and the peak month's month names, in the language of
+// `i18n` (see useI18n in lib/i18n). Custom metrics keep the labels they were given.
+export const localizeMetrics = (metrics, { t, monthLabels }) =>
+  metrics.map((metric) => {
+    if (metric.custom) return metric;
+    const localized = { ...metric, label: t(`metrics.${metric.id}`) };
+    if (metric.id === 'peak_month') localized.format = (value) => monthLabels[value - 1];
+    return localized;
+  });
+
+// Quantile of all monthly values for the year
+const monthlyQuantile = (geojsonData, year, p) =>
+  d3.quantile(geojsonData.features.flatMap((f) => getKnownMonthlyValues(f.properties, year)), p) ?? 0;
+
+// Median of all monthly values for the year, the default "months above threshold" cutoff,
+// which also marks severe scarcity
+export const defaultThreshold = (geojsonData, year = null) => monthlyQuantile(geojsonData, year, 0.5);
+
+// Lower quartile of the monthly values, the default line for moderate scarcity
+export const defaultModerateThreshold = (geojsonData, year = null) => monthlyQuantile(geojsonData, year, 0.25);
+
+// Copy of the FeatureCollection with every metric added to each feature's properties
+export const applyMetrics = (geojsonData, metrics, context) => ({
+  ...geojsonData,
+  features: geojsonData.features.map((feature) => {
+    const properties = { ...feature.properties };
+    metrics.forEach((metric) => {
+      if (metric.compute) {
+        // A metric that fails on one basin has no data there rather than breaking the page
+        let value;
+        try {
+          value = metric.compute(feature.properties, context);
+        } catch {
+          value = null;
+        }
+        properties[metric.id] = Number.isFinite(value) ? value : null;
+      }
+    });
+    return { ...feature, properties };
+  }),
+});
+
+// Display text for a metric or raw property value
+export const formatMetricValue = (metric, value, formatNumber, noData = 'No Data') => {
+  if (value === null || value === undefined) return noData;
+  return metric?.format ? metric.format(value) : formatNumber(value);
+};
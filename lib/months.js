@@ -0,0 +1,77 @@
+// Month keys used as property names in the basin GeoJSON
+export const MONTHS = [
+  'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec',
+];
+
+// Display labels matching MONTHS
+export const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Multi-year datasets key monthly values by year as well, e.g. `2010_jan`
+export const YEAR_MONTH_PATTERN = new RegExp(`^(\\d{4})_(${MONTHS.join('|')})$`);
+
+// Property name holding a month's value, for a given year or the single-year data
+export const monthProperty = (month, year = null) => (year ? `${year}_${month}` : month);
+
+// Years present in a FeatureCollection, in ascending order (empty for single-year data)
+export const getDatasetYears = (geojsonData) => {
+  const years = new Set();
+  geojsonData.features.forEach((f) => {
+    Object.keys(f.properties).forEach((key) => {
+      const match = key.match(YEAR_MONTH_PATTERN);
+      if (match) years.add(Number(match[1]));
+    });
+  });
+  return [...years].sort((a, b) => a - b);
+};
+
+// Monthly values of a basin, leaving out missing months
+export const getKnownMonthlyValues = (properties, year = null) =>
+  MONTHS.map((month) => properties[monthProperty(month, year)]).filter((v) => v !== null && v !== undefined);
+
+// All monthly values in a FeatureCollection, across every year when there are several
+export const getAllMonthlyValues = (geojsonData) =>
+  geojsonData.features.flatMap((f) =>
+    Object.keys(f.properties)
+      .filter((key) => MONTHS.includes(key) || YEAR_MONTH_PATTERN.test(key))
+      .map((key) => f.properties[key])
+      .filter((v) => v !== null && v !== undefined)
+  );
+
+// Extract the twelve monthly values of a basin, treating missing data as 0
+export const getMonthlyValues = (properties, year = null) =>
+  MONTHS.map((month) => properties[monthProperty(month, year)] || 0);
+
+// Average scarcity of a basin: the dataset's `average`, or the mean of one year's months
+export const getAnnualAverage = (properties, year = null) => {
+  if (!year) return properties.average;
+
+  const values = MONTHS.map((month) => properties[monthProperty(month, year)]).filter(
+    (v) => v !== null && v !== undefined
+  );
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : undefined;
+};
+
+// Fill in the single-year properties (`jan`…`dec` and `average`) of features keyed only
+// by year-month, from the dataset's latest year, as the merge of per-year files does.
+// Properties a feature already has are kept. Mutates and returns the collection.
+export const deriveSingleYearProperties = (geojsonData) => {
+  const years = getDatasetYears(geojsonData);
+  if (years.length === 0) return geojsonData;
+
+  const latest = years[years.length - 1];
+  geojsonData.features.forEach(({ properties }) => {
+    MONTHS.forEach((month) => {
+      if (!(month in properties)) properties[month] = properties[monthProperty(month, latest)] ?? null;
+    });
+    if (!('average' in properties)) properties.average = getAnnualAverage(properties, latest) ?? null;
+  });
+  return geojsonData;
+};
+
+// Value of a raw measure for a basin ('average', a month id or any other property),
+// using the chosen year's months in multi-year datasets
+export const measureValue = (properties, measure, year = null) => {
+  if (measure === 'average') return getAnnualAverage(properties, year);
+  if (MONTHS.includes(measure)) return properties[monthProperty(measure, year)];
+  return properties[measure];
+};
@@ -0,0 +1,93 @@
+import * as d3 from 'd3';
+
+// Shared color palettes. The dashboard picks one palette and every view takes its
+// colors from it: the choropleth and legend (diverging and sequential ramps), the
+// bar chart series (accent and categorical) and the treemap continents (categorical).
+// The palette select shows each palette by its 'palette.*' message.
+//
+// Ramps are d3 interpolators over [0, 1]; diverging ramps put the midpoint at 0.5
+// and run from low (0) to high (1) values.
+
+// Okabe-Ito categorical colors, distinguishable with the common forms of color blindness
+const OKABE_ITO = ['#0072B2', '#E69F00', '#009E73', '#CC79A7', '#56B4E9', '#D55E00', '#F0E442', '#000000'];
+
+const reversed = (interpolate) => (t) => interpolate(1 - t);
+
+export const PALETTES = {
+  colorblind: {
+    label: 'Colorblind-safe (blue–brown)',
+    diverging: reversed(d3.interpolateBrBG),
+    sequential: d3.interpolateCividis,
+    categorical: OKABE_ITO,
+    accent: '#0072B2',
+  },
+  viridis: {
+    label: 'Viridis',
+    diverging: d3.interpolateViridis,
+    sequential: d3.interpolateViridis,
+    categorical: OKABE_ITO,
+    accent: '#440154',
+  },
+  cividis: {
+    label: 'Cividis',
+    diverging: d3.interpolateCividis,
+    sequential: d3.interpolateCividis,
+    categorical: OKABE_ITO,
+    accent: '#00204d',
+  },
+  puor: {
+    label: 'ColorBrewer PuOr',
+    diverging: reversed(d3.interpolatePuOr),
+    sequential: d3.interpolateOranges,
+    categorical: d3.schemeDark2,
+    accent: '#e66101',
+  },
+  rdylbu: {
+    label: 'ColorBrewer RdYlBu',
+    diverging: reversed(d3.interpolateRdYlBu),
+    sequential: d3.interpolateReds,
+    categorical: d3.schemeSet1,
+    accent: '#d7191c',
+  },
+  // The dashboard's original colors
+  classic: {
+    label: 'Classic',
+    diverging: d3.piecewise(d3.interpolateRgb, ['#2c7bb6', '#ffffbf', '#d7191c']),
+    sequential: d3.interpolateRgb('#fee5d9', '#a50f15'),
+    categorical: ['#FF8C00', '#FF1493', '#32CD32', '#1E90FF', '#FFD700', '#FF4500', '#00CED1'],
+    accent: 'rgb(255, 99, 132)',
+  },
+};
+
+export const DEFAULT_PALETTE = 'colorblind';
+
+export const getPalette = (id) => PALETTES[id] || PALETTES[DEFAULT_PALETTE];
+
+// Fixed continent order so each continent keeps its categorical color
+const CONTINENTS = ['Africa', 'Asia', 'Europe', 'NorthAmerica', 'SouthAmerica', 'Australia', 'Antarctica'];
+
+export const continentColor = (palette, continent) => {
+  const index = CONTINENTS.indexOf(continent);
+  return index === -1 ? '#808080' : palette.categorical[index % palette.categorical.length];
+};
+
+// Color of the i-th series when several basins or years are compared
+export const seriesColor = (palette, i) => palette.categorical[i % palette.categorical.length];
+
+// Same color with an alpha channel, for translucent fills
+export const withOpacity = (color, opacity) => d3.color(color).copy({ opacity }).formatRgb();
+
+// CSS gradient through a continuous scale's colors. Scales with a [min, mid, max]
+// domain spend half the gradient on each side of the midpoint, as the legend labels do.
+export const scaleGradient = (scale, steps = 10) => {
+  const domain = scale.domain();
+  const stops = d3.range(steps + 1).map((i) => {
+    const t = i / steps;
+    if (domain.length === 3) {
+      const value = t < 0.5 ? domain[0] + (domain[1] - domain[0]) * t * 2 : domain[1] + (domain[2] - domain[1]) * (t - 0.5) * 2;
+      return scale(value);
+    }
+    return scale(domain[0] + (domain[domain.length - 1] - domain[0]) * t);
+  });
+  return `linear-gradient(to right, ${stops.join(', ')})`;
+};
@@ -0,0 +1,132 @@
+import * as d3 from 'd3';
+import { bboxCenter, computeBbox, geometryContains } from './geometry';
+import { MONTHS, getDatasetYears, monthProperty } from './months';
+import { DatasetError } from './validation';
+
+// Regions: groups of basins analysed as one. A region comes from a lasso drawn on the
+// map, from a continent, or from a polygon of an uploaded region GeoJSON, and is
+// { id, name, source, basins, geometry }. A basin belongs to a region when the center of
+// its bounding box lies inside the region's polygon.
+//
+// aggregateRegion() turns a region into a virtual basin feature the charts and table
+// show like any other: the total population, and for `average` and every monthly
+// property (jan…dec, and YYYY_jan… in multi-year data) the population-weighted mean.
+
+export const REGION_FILE_TYPES = '.json,.geojson';
+
+export const REGION_GROUPINGS = ['none', 'continent', 'upload'];
+
+// Property names tried, in order, for the name of an uploaded region
+const NAME_PROPERTIES = ['name', 'NAME', 'Name', 'region', 'REGION', 'Region'];
+
+// Center of a basin's bbox, or null for a basin with neither a bbox nor a geometry. The
+// page holds basins without their shapes, which keep the bbox the API adds.
+const basinCenter = (feature) => {
+  const bbox = feature.bbox ?? computeBbox(feature.geometry);
+  return bbox ? bboxCenter(bbox) : null;
+};
+
+// Names of the basins whose center lies inside a Polygon or MultiPolygon
+export const basinsInGeometry = (features, geometry) =>
+  features
+    .filter((feature) => {
+      const center = basinCenter(feature);
+      return center !== null && geometryContains(geometry, center);
+    })
+    .map((feature) => feature.properties.RIVERBASIN);
+
+// Mean weighted by population. Basins without a population weigh nothing, unless no
+// basin has one, in which case every basin counts the same.
+const weightedMean = (entries) => {
+  const known = entries.filter(({ value }) => Number.isFinite(value));
+  if (known.length === 0) return null;
+  const totalWeight = d3.sum(known, ({ weight }) => weight);
+  if (totalWeight === 0) return d3.mean(known, ({ value }) => value);
+  return d3.sum(known, ({ value, weight }) => value * weight) / totalWeight;
+};
+
+// Keys of `average` and every monthly property of the dataset
+const aggregatedKeys = (features) => [
+  'average',
+  ...[null, ...getDatasetYears({ features })].flatMap((year) => MONTHS.map((month) => monthProperty(month, year))),
+];
+
+// Virtual feature for a region. `label` becomes its RIVERBASIN, so it can be pinned and
+// found by name like a basin; CONTINENT is set when every basin shares one.
+export const aggregateRegion = (region, features, label = region.name) => {
+  const members = features.filter((feature) => region.basins.includes(feature.properties.RIVERBASIN));
+  const weights = members.map((feature) => (feature.properties.population > 0 ? feature.properties.population : 0));
+  const continents = [...new Set(members.map((feature) => feature.properties.CONTINENT))];
+
+  const properties = {
+    RIVERBASIN: label,
+    CONTINENT: continents.length === 1 ? continents[0] : '',
+    population: d3.sum(weights),
+    isRegion: true,
+    basinCount: members.length,
+  };
+  aggregatedKeys(members).forEach((key) => {
+    properties[key] = weightedMean(members.map((feature, i) => ({ value: feature.properties[key], weight: weights[i] })));
+  });
+
+  return { type: 'Feature', geometry: region.geometry ?? null, properties };
+};
+
+// One region per continent
+export const continentRegions = (features) =>
+  d3
+    .groups(features, (feature) => feature.properties.CONTINENT)
+    .sort(([a], [b]) => String(a).localeCompare(String(b)))
+    .map(([continent, members]) => ({
+      id: `continent:${continent}`,
+      name: continent,
+      source: 'continent',
+      basins: members.map((feature) => feature.properties.RIVERBASIN),
+      geometry: null,
+    }));
+
+// One region per uploaded polygon, with the basins it holds
+export const uploadedRegions = (regionData, features) =>
+  regionData.features.map((region, i) => ({
+    id: `upload:${i}`,
+    name: region.name,
+    source: 'upload',
+    basins: basinsInGeometry(features, region.geometry),
+    geometry: region.geometry,
+  }));
+
+// Parse an uploaded region GeoJSON: { name, features: [{ name, geometry }] } with one
+// entry per Polygon or MultiPolygon feature. Throws a DatasetError listing the problems.
+export const readRegionFile = async (file) => {
+  const source = file.name;
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    throw new DatasetError(`${source} could not be parsed (${error.message})`);
+  }
+  if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new DatasetError(`${source} is not a GeoJSON FeatureCollection`);
+  }
+
+  const issues = [];
+  const features = [];
+  data.features.forEach((feature, index) => {
+    const type = feature?.geometry?.type;
+    if (type !== 'Polygon' && type !== 'MultiPolygon') {
+      issues.push({ source, feature: index, basin: null, property: 'geometry', message: `is ${type ?? 'missing'}, not a polygon` });
+      return;
+    }
+    const nameProperty = NAME_PROPERTIES.find((property) => feature.properties?.[property]);
+    const name = nameProperty ? String(feature.properties[nameProperty]) : `Region ${index + 1}`;
+    features.push({ name, geometry: feature.geometry });
+  });
+
+  if (issues.length > 0) {
+    throw new DatasetError(`${source} has ${issues.length} feature(s) that are not polygons`, issues);
+  }
+  if (features.length === 0) {
+    throw new DatasetError(`${source} has no regions`);
+  }
+  return { name: source, features };
+};
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import { aggregateRegion, basinsInGeometry, continentRegions, uploadedRegions } from './regions';
+
+const square = (minLon, minLat, maxLon, maxLat) => ({
+  type: 'Polygon',
+  coordinates: [
+    [
+      [minLon, minLat],
+      [maxLon, minLat],
+      [maxLon, maxLat],
+      [minLon, maxLat],
+      [minLon, minLat],
+    ],
+  ],
+});
+
+const basin = (name, continent, properties, shape) => ({
+  type: 'Feature',
+  geometry: null,
+  ...shape,
+  properties: { RIVERBASIN: name, CONTINENT: continent, ...properties },
+});
+
+describe('basinsInGeometry', () => {
+  it('matches basins by the center of their bbox when they have no geometry', () => {
+    // The page loads basins this way, from /api/basins?geometry=false
+    const features = [
+      basin('A', 'Africa', {}, { bbox: [0, 0, 2, 2] }),
+      basin('B', 'Africa', {}, { bbox: [10, 10, 12, 12] }),
+    ];
+    expect(basinsInGeometry(features, square(-1, -1, 5, 5))).toEqual(['A']);
+  });
+
+  it('falls back to the geometry when a basin has no bbox', () => {
+    const features = [basin('A', 'Africa', {}, { geometry: square(0, 0, 2, 2) })];
+    expect(basinsInGeometry(features, square(-1, -1, 5, 5))).toEqual(['A']);
+  });
+
+  it('skips basins with neither a bbox nor a geometry', () => {
+    const features = [basin('A', 'Africa', {}, {}), basin('B', 'Africa', {}, { bbox: [0, 0, 2, 2] })];
+    expect(basinsInGeometry(features, square(-1, -1, 5, 5))).toEqual(['B']);
+  });
+});
+
+describe('aggregateRegion', () => {
+  it('sums population and weights scarcity by population', () => {
+    const features = [
+      basin('A', 'Africa', { population: 100, average: 2, jan: 1 }),
+      basin('B', 'Africa', { population: 300, average: 6, jan: null }),
+      basin('C', 'Asia', { population: 1000, average: 100, jan: 100 }),
+    ];
+    const { properties } = aggregateRegion({ name: 'Region', basins: ['A', 'B'] }, features);
+    expect(properties).toMatchObject({ RIVERBASIN: 'Region', CONTINENT: 'Africa', population: 400, basinCount: 2 });
+    expect(properties.average).toBe(5);
+    expect(properties.jan).toBe(1); // B has no January value, so A alone counts
+  });
+
+  it('leaves CONTINENT empty for basins on several continents', () => {
+    const features = [basin('A', 'Africa', { population: 1 }), basin('C', 'Asia', { population: 1 })];
+    expect(aggregateRegion({ name: 'Mixed', basins: ['A', 'C'] }, features).properties.CONTINENT).toBe('');
+  });
+});
+
+describe('continentRegions and uploadedRegions', () => {
+  const features = [
+    basin('A', 'Europe', {}, { bbox: [0, 0, 2, 2] }),
+    basin('B', 'Africa', {}, { bbox: [10, 10, 12, 12] }),
+    basin('C', 'Africa', {}, { bbox: [11, 11, 13, 13] }),
+  ];
+
+  it('groups basins by continent in name order', () => {
+    expect(continentRegions(features).map(({ name, basins }) => [name, basins])).toEqual([
+      ['Africa', ['B', 'C']],
+      ['Europe', ['A']],
+    ]);
+  });
+
+  it('assigns basins without geometry to uploaded polygons', () => {
+    const regionData = { features: [{ name: 'North', geometry: square(9, 9, 20, 20) }] };
+    expect(uploadedRegions(regionData, features)[0].basins).toEqual(['B', 'C']);
+  });
+});
@@ -0,0 +1,138 @@
+import * as d3 from 'd3';
+import { feature as topoFeature, neighbors as topoNeighbors } from 'topojson-client';
+import { getBasin, getBasinIndex } from './basins';
+import { getTopology } from './topology';
+import { DETAIL_LEVELS, bboxCenter } from './geometry';
+import { getAnnualAverage } from './months';
+
+// Server-side data for the printable basin reports (pages/report/[basin].js), built at
+// build time by getStaticProps. Neighbors are the basins sharing a border with the
+// report's basin, topped up with the nearest basins (by the great-circle distance
+// between bounding-box centers) when fewer than NEIGHBOR_COUNT touch it.
+//
+// The map snapshot is a static SVG of the basin and its neighbors: d3-geo path strings
+// projected to fit the basin, drawn from the simplified topology so pages stay small.
+
+export const NEIGHBOR_COUNT = 5;
+
+// Level of detail of the map snapshot, as in DETAIL_LEVELS
+const SNAPSHOT_LEVEL = 2;
+const SNAPSHOT_SIZE = [600, 400];
+const SNAPSHOT_PADDING = 40;
+
+// Basin names sharing a border, by name, from the full-detail topology
+let cachedBorders = null;
+const getBorders = () => {
+  if (!cachedBorders) {
+    const { geometries } = getTopology('basins', DETAIL_LEVELS.length - 1).objects.basins;
+    const names = geometries.map((geometry) => geometry.properties.RIVERBASIN);
+    cachedBorders = new Map(topoNeighbors(geometries).map((indices, i) => [names[i], indices.map((j) => names[j])]));
+  }
+  return cachedBorders;
+};
+
+// Names of every basin, for getStaticPaths
+export const getReportBasins = () => getBasinIndex().entries.map(({ feature }) => feature.properties.RIVERBASIN);
+
+// Neighbors of one basin: [{ basin, bordering, distance }] with distance in km
+const findNeighbors = (entry) => {
+  const name = entry.feature.properties.RIVERBASIN;
+  const bordering = new Set(getBorders().get(name) ?? []);
+  const center = bboxCenter(entry.bbox);
+
+  const candidates = getBasinIndex()
+    .entries.filter((other) => other.feature.properties.RIVERBASIN !== name && other.bbox)
+    .map((other) => ({
+      basin: other.feature.properties.RIVERBASIN,
+      bordering: bordering.has(other.feature.properties.RIVERBASIN),
+      distance: Math.round(d3.geoDistance(center, bboxCenter(other.bbox)) * 6371),
+    }))
+    .sort((a, b) => d3.ascending(a.distance, b.distance));
+
+  const touching = candidates.filter((candidate) => candidate.bordering);
+  const nearest = candidates.filter((candidate) => !candidate.bordering).slice(0, Math.max(NEIGHBOR_COUNT - touching.length, 0));
+  return [...touching, ...nearest];
+};
+
+// d3-geo reads rings the other way round from GeoJSON: a counter-clockwise polygon is
+// the whole globe outside it. Reverse the rings of polygons covering over a hemisphere.
+const rewindPolygon = (rings) => {
+  const area = d3.geoArea({ type: 'Polygon', coordinates: rings });
+  return area > 2 * Math.PI ? rings.map((ring) => [...ring].reverse()) : rings;
+};
+
+const rewind = (feature) => {
+  const { geometry } = feature;
+  if (geometry?.type === 'Polygon') {
+    return { ...feature, geometry: { ...geometry, coordinates: rewindPolygon(geometry.coordinates) } };
+  }
+  if (geometry?.type === 'MultiPolygon') {
+    return { ...feature, geometry: { ...geometry, coordinates: geometry.coordinates.map(rewindPolygon) } };
+  }
+  return feature;
+};
+
+// Map snapshot of the basin and its neighbors: { width, height, shapes: [{ basin, path }] }
+const buildSnapshot = (name, neighborNames) => {
+  const topology = getTopology('basins', SNAPSHOT_LEVEL);
+  const shown = new Set([name, ...neighborNames]);
+  const features = topoFeature(topology, topology.objects.basins)
+    .features.filter((f) => shown.has(f.properties.RIVERBASIN))
+    .map(rewind);
+  const basinFeature = features.find((f) => f.properties.RIVERBASIN === name);
+  if (!basinFeature) return null;
+
+  const [width, height] = SNAPSHOT_SIZE;
+  const projection = d3.geoMercator().fitExtent(
+    [
+      [SNAPSHOT_PADDING, SNAPSHOT_PADDING],
+      [width - SNAPSHOT_PADDING, height - SNAPSHOT_PADDING],
+    ],
+    basinFeature
+  );
+  const path = d3.geoPath(projection).digits(1);
+
+  const inFrame = (f) => {
+    const [[x0, y0], [x1, y1]] = path.bounds(f);
+    return x1 >= 0 && x0 <= width && y1 >= 0 && y0 <= height;
+  };
+
+  // Neighbors outside the frame are left out; the report's basin goes last, so its
+  // outline is drawn on top
+  const shapes = features
+    .filter(inFrame)
+    .map((f) => ({ basin: f.properties.RIVERBASIN, path: path(f) }))
+    .sort((a, b) => (a.basin === name) - (b.basin === name));
+  return { width, height, shapes };
+};
+
+// Props of one basin's report, or null for an unknown basin. `features` holds every
+// basin without its geometry, for the chart's means and the statistics' ranks.
+export const buildBasinReport = (name) => {
+  const entry = getBasin(name);
+  if (!entry) return null;
+
+  const { geojsonData, years } = getBasinIndex();
+  const year = years[years.length - 1] ?? null;
+  const basin = entry.feature.properties.RIVERBASIN;
+  const features = geojsonData.features.map(({ properties }) => ({ type: 'Feature', geometry: null, properties }));
+  const averageOf = (basinName) =>
+    getAnnualAverage(features.find((f) => f.properties.RIVERBASIN === basinName).properties, year) ?? null;
+
+  const neighbors = findNeighbors(entry).map((neighbor) => ({
+    ...neighbor,
+    continent: getBasin(neighbor.basin).feature.properties.CONTINENT,
+    average: averageOf(neighbor.basin),
+  }));
+  // Highest scarcity first, basins without data last
+  neighbors.sort((a, b) => d3.descending(a.average ?? -Infinity, b.average ?? -Infinity));
+
+  return {
+    basin,
+    features,
+    years,
+    year,
+    neighbors,
+    snapshot: buildSnapshot(basin, neighbors.map((neighbor) => neighbor.basin)),
+  };
+};
@@ -0,0 +1,73 @@
+import path from 'path';
+import fs from 'fs';
+import { getBasinIndex } from './basins';
+import { bboxContains, computeBbox, geometryContains, geometryVertices } from './geometry';
+
+// Server-side river layer, spatially joined to the basins. Each river feature gets
+// `basins`: the RIVERBASIN names of the basins its vertices fall in, in the order the
+// river passes through them. The file is RIVER_DATA_PATH, or public/river.json
+// (public/rivers.json also works); rivers are optional, so without one the layer is empty.
+
+const DEFAULT_RIVER_FILES = ['river.json', 'rivers.json'].map((file) => path.join(process.cwd(), 'public', file));
+
+let cachedRivers = null;
+
+const resolveRiverFile = (env = process.env) => {
+  if (env.RIVER_DATA_PATH) return path.resolve(env.RIVER_DATA_PATH);
+  return DEFAULT_RIVER_FILES.find((file) => fs.existsSync(file)) ?? null;
+};
+
+// Basins a line crosses. Vertices are tested against basin bboxes first, and
+// consecutive vertices usually stay in the basin found for the previous one.
+const basinsAlong = (geometry, entries) => {
+  const names = [];
+  let current = null;
+  geometryVertices(geometry).forEach((point) => {
+    if (current && geometryContains(current.feature.geometry, point)) return;
+    current = entries.find(
+      (entry) => bboxContains(entry.bbox, point) && geometryContains(entry.feature.geometry, point)
+    );
+    const name = current?.feature.properties.RIVERBASIN;
+    if (name && !names.includes(name)) names.push(name);
+  });
+  return names;
+};
+
+const joinRivers = (riversData, entries) => ({
+  type: 'FeatureCollection',
+  features: (riversData.features ?? []).map((feature) => ({
+    ...feature,
+    bbox: computeBbox(feature.geometry),
+    properties: { ...feature.properties, basins: basinsAlong(feature.geometry, entries) },
+  })),
+});
+
+// Load and join the rivers, reusing the result on later calls. Throws a plain Error
+// for an unreadable river file and the basin loader's DatasetError for bad basin data.
+export const getRivers = () => {
+  if (!cachedRivers) {
+    const file = resolveRiverFile();
+    if (!file) {
+      cachedRivers = { type: 'FeatureCollection', features: [] };
+    } else {
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`River data could not be read from ${file}: ${error.message}`);
+      }
+      cachedRivers = joinRivers(data, getBasinIndex().entries);
+    }
+  }
+  return cachedRivers;
+};
+
+// River features, optionally only those crossing one basin (case-insensitive)
+export const queryRivers = (basin = null) => {
+  const { features } = getRivers();
+  if (!basin) return features;
+  const name = String(basin).toUpperCase();
+  return features.filter((feature) =>
+    feature.properties.basins.some((b) => String(b).toUpperCase() === name)
+  );
+};
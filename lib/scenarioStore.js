@@ -0,0 +1,37 @@
+// Uploaded scenarios kept in the browser's IndexedDB, which unlike localStorage has room
+// for whole GeoJSON datasets. Records are { id, name, createdAt, data }.
+
+const DB_NAME = 'water-scarcity';
+const STORE = 'scenarios';
+
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// Run one request against the store and resolve with its result
+const withStore = async (mode, makeRequest) => {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = makeRequest(db.transaction(STORE, mode).objectStore(STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+// Stored scenarios, oldest first
+export const listScenarios = async () =>
+  (await withStore('readonly', (store) => store.getAll())).sort((a, b) => a.createdAt - b.createdAt);
+
+export const saveScenario = (scenario) => withStore('readwrite', (store) => store.put(scenario));
+
+export const deleteScenario = (id) => withStore('readwrite', (store) => store.delete(id));
+
+export const createScenarioId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
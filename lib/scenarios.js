@@ -0,0 +1,137 @@
+import * as d3 from 'd3';
+import { DatasetError, validateFeatures } from './validation';
+import { deriveSingleYearProperties } from './months';
+
+// Alternate scenario datasets (climate projections and the like) uploaded in the
+// browser. A scenario has the baseline's shape: a GeoJSON file, a CSV of basin
+// properties joined to the baseline on RIVERBASIN, or a zipped shapefile.
+
+export const SCENARIO_FILE_TYPES = '.json,.geojson,.csv,.zip';
+
+const TEXT_COLUMNS = ['RIVERBASIN', 'CONTINENT'];
+
+// CSV cells are text; empty cells become null and numeric ones numbers, and anything
+// else stays text for validation to report
+const parseCell = (column, text) => {
+  if (TEXT_COLUMNS.includes(column)) return text.trim();
+  if (text.trim() === '') return null;
+  const number = Number(text);
+  return Number.isNaN(number) ? text : number;
+};
+
+// Baseline features by upper-cased RIVERBASIN, for case-insensitive joins
+const baselineByName = (baseline) =>
+  new Map(baseline.features.map((f) => [String(f.properties.RIVERBASIN).toUpperCase(), f]));
+
+// Each CSV row overrides the properties of the baseline basin with the same RIVERBASIN
+// (case-insensitive), which also provides the geometry
+const joinCsv = (text, baseline, source) => {
+  const rows = d3.csvParse(text);
+  if (!rows.columns.includes('RIVERBASIN')) {
+    throw new DatasetError(`${source} has no RIVERBASIN column to join on`);
+  }
+
+  const byName = baselineByName(baseline);
+  const issues = [];
+  const features = [];
+  rows.forEach((row, index) => {
+    const base = byName.get(row.RIVERBASIN.trim().toUpperCase());
+    if (!base) {
+      issues.push({ source, feature: index, basin: row.RIVERBASIN || null, property: 'RIVERBASIN', message: 'matches no baseline basin' });
+      return;
+    }
+    const properties = { ...base.properties };
+    rows.columns
+      .filter((column) => column !== 'RIVERBASIN')
+      .forEach((column) => {
+        properties[column] = parseCell(column, row[column]);
+      });
+    features.push({ ...base, properties });
+  });
+
+  if (issues.length > 0) {
+    throw new DatasetError(`${source} has ${issues.length} row(s) that match no baseline basin`, issues);
+  }
+  return { type: 'FeatureCollection', features };
+};
+
+// shpjs is only loaded when a shapefile is uploaded
+const readShapefile = async (buffer, source) => {
+  const { default: shp } = await import('shpjs');
+  const result = await shp(buffer);
+  const layers = Array.isArray(result) ? result : [result];
+  if (layers.length !== 1) {
+    throw new DatasetError(`${source} holds ${layers.length} shapefiles; upload a zip with one`);
+  }
+  return layers[0];
+};
+
+// GeoJSON and shapefile basins are matched to the baseline by RIVERBASIN too, since the
+// map draws the baseline's shapes and differences need a baseline value. Matched basins
+// take the baseline's spelling of the name; the others are returned as issues.
+const matchBaseline = (data, baseline, source) => {
+  const byName = baselineByName(baseline);
+  const issues = [];
+  data.features.forEach((feature, index) => {
+    const basin = feature.properties.RIVERBASIN;
+    const base = byName.get(basin.toUpperCase());
+    if (base) feature.properties.RIVERBASIN = base.properties.RIVERBASIN;
+    else issues.push({ source, feature: index, basin, property: 'RIVERBASIN', message: 'matches no baseline basin' });
+  });
+  return issues;
+};
+
+// Parse and validate an uploaded File against the same rules as the server's dataset.
+// Throws a DatasetError listing the problems when the file cannot be used.
+export const readScenarioFile = async (file, baseline) => {
+  const source = file.name;
+  const extension = source.slice(source.lastIndexOf('.')).toLowerCase();
+
+  let data;
+  try {
+    if (extension === '.csv') {
+      data = joinCsv(await file.text(), baseline, source);
+    } else if (extension === '.zip') {
+      data = await readShapefile(await file.arrayBuffer(), source);
+    } else if (extension === '.json' || extension === '.geojson') {
+      data = JSON.parse(await file.text());
+    } else {
+      throw new DatasetError(`${source} is not a supported file type (${SCENARIO_FILE_TYPES})`);
+    }
+  } catch (error) {
+    if (error instanceof DatasetError) throw error;
+    throw new DatasetError(`${source} could not be parsed (${error.message})`);
+  }
+
+  if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new DatasetError(`${source} is not a GeoJSON FeatureCollection`);
+  }
+  // CSV rows take the baseline's basins, which the page loads without geometry
+  const issues = validateFeatures(data.features, source, { requireGeometry: extension !== '.csv' });
+  if (issues.length === 0 && extension !== '.csv') {
+    issues.push(...matchBaseline(data, baseline, source));
+  }
+  if (issues.length > 0) {
+    throw new DatasetError(`${source} failed validation with ${issues.length} problem(s)`, issues);
+  }
+  return deriveSingleYearProperties(data);
+};
+
+// Scenario minus baseline for every numeric property. Other properties come from the
+// scenario, and values without a baseline counterpart become null.
+export const differenceData = (scenario, baseline) => {
+  const baselineProperties = new Map(baseline.features.map((f) => [f.properties.RIVERBASIN, f.properties]));
+  return {
+    ...scenario,
+    features: scenario.features.map((feature) => {
+      const base = baselineProperties.get(feature.properties.RIVERBASIN);
+      const properties = Object.fromEntries(
+        Object.entries(feature.properties).map(([key, value]) => {
+          if (typeof value !== 'number') return [key, value];
+          return [key, typeof base?.[key] === 'number' ? value - base[key] : null];
+        })
+      );
+      return { ...feature, properties };
+    }),
+  };
+};
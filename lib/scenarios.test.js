@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { differenceData, readScenarioFile } from './scenarios';
+import { DatasetError } from './validation';
+import { MONTHS } from './months';
+
+const monthly = (value) => Object.fromEntries(MONTHS.map((month) => [month, value]));
+
+const baselineBasin = (name, value) => ({
+  type: 'Feature',
+  bbox: [0, 0, 1, 1],
+  geometry: null,
+  properties: { RIVERBASIN: name, CONTINENT: 'Africa', population: 1000, average: value, ...monthly(value) },
+});
+
+const baseline = { type: 'FeatureCollection', features: [baselineBasin('NILE', 2), baselineBasin('CONGO', 4)] };
+
+const csvFile = (text) => new File([text], 'scenario.csv', { type: 'text/csv' });
+
+describe('readScenarioFile', () => {
+  it('joins CSV rows to the baseline basins case-insensitively', async () => {
+    const data = await readScenarioFile(csvFile('RIVERBASIN,average,jan\nnile,3,5\n'), baseline);
+    expect(data.features).toHaveLength(1);
+    expect(data.features[0].bbox).toEqual([0, 0, 1, 1]);
+    expect(data.features[0].properties).toMatchObject({ RIVERBASIN: 'NILE', average: 3, jan: 5, feb: 2, population: 1000 });
+  });
+
+  it('reports CSV rows that match no baseline basin', async () => {
+    const error = await readScenarioFile(csvFile('RIVERBASIN,average\nNILE,3\nRHINE,1\n'), baseline).catch((e) => e);
+    expect(error).toBeInstanceOf(DatasetError);
+    expect(error.issues).toEqual([
+      expect.objectContaining({ feature: 1, basin: 'RHINE', property: 'RIVERBASIN', message: 'matches no baseline basin' }),
+    ]);
+  });
+
+  it('rejects a CSV without a RIVERBASIN column', async () => {
+    await expect(readScenarioFile(csvFile('name,average\nNILE,3\n'), baseline)).rejects.toThrow('no RIVERBASIN column');
+  });
+
+  it('rejects unsupported file types', async () => {
+    await expect(readScenarioFile(new File(['x'], 'scenario.txt'), baseline)).rejects.toThrow('not a supported file type');
+  });
+
+  it('reports GeoJSON basins that match no baseline basin and takes the baseline spelling', async () => {
+    const feature = (name) => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [0, 0] },
+      properties: { ...baselineBasin(name, 1).properties },
+    });
+    const file = (features) =>
+      new File([JSON.stringify({ type: 'FeatureCollection', features })], 'scenario.geojson');
+
+    const data = await readScenarioFile(file([feature('Congo')]), baseline);
+    expect(data.features[0].properties.RIVERBASIN).toBe('CONGO');
+
+    const error = await readScenarioFile(file([feature('Congo'), feature('RHINE')]), baseline).catch((e) => e);
+    expect(error.issues.map((issue) => issue.basin)).toEqual(['RHINE']);
+  });
+});
+
+describe('differenceData', () => {
+  it('subtracts the baseline from numeric properties and keeps the rest', () => {
+    const scenario = {
+      type: 'FeatureCollection',
+      features: [baselineBasin('NILE', 5), baselineBasin('RHINE', 5)],
+    };
+    const [nile, rhine] = differenceData(scenario, baseline).features;
+    expect(nile.properties).toMatchObject({ RIVERBASIN: 'NILE', CONTINENT: 'Africa', average: 3, jan: 3, population: 0 });
+    expect(rhine.properties.average).toBeNull();
+  });
+});
@@ -0,0 +1,83 @@
+import { computeBbox } from './geometry';
+
+// Name search over basins and rivers for the map's search box.
+
+const normalize = (text) => String(text).toLowerCase().replace(/[_\s-]+/g, ' ').trim();
+
+// Fuzzy match score of a query against a name, or null when it does not match.
+// Substrings score highest (earlier and word-starting ones more); otherwise the
+// query's letters must appear in order, and tighter matches score higher.
+export const fuzzyScore = (query, text) => {
+  const q = normalize(query);
+  const t = normalize(text);
+  if (!q) return null;
+
+  const index = t.indexOf(q);
+  if (index !== -1) {
+    const wordStart = index === 0 || t[index - 1] === ' ';
+    return 1000 - index + (wordStart ? 100 : 0) - (t.length - q.length);
+  }
+
+  let score = 0;
+  let position = -1;
+  for (const char of q) {
+    if (char === ' ') continue;
+    const next = t.indexOf(char, position + 1);
+    if (next === -1) return null;
+    score -= next - position - 1; // Penalize skipped letters
+    position = next;
+  }
+  return 500 + score;
+};
+
+const unionBbox = (a, b) =>
+  a && b ? [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[2], b[2]), Math.max(a[3], b[3])] : a || b;
+
+// Searchable entries: { type: 'basin' | 'river', name, basin, bbox }. A river's
+// basin is the first of the basins it crosses (`basins`, joined by /api/rivers).
+export const buildSearchIndex = (basinsData, riversData = null) => {
+  const basins = basinsData?.features ?? [];
+  const entries = basins
+    .filter((feature) => feature.properties.RIVERBASIN)
+    .map((feature) => ({
+      type: 'basin',
+      name: feature.properties.RIVERBASIN,
+      basin: feature.properties.RIVERBASIN,
+      detail: feature.properties.CONTINENT,
+      // The page loads basins with a bbox from the API and without geometry
+      bbox: feature.bbox ?? computeBbox(feature.geometry),
+    }));
+
+  // Rivers are often split into several segments with the same name
+  const rivers = new Map();
+  (riversData?.features ?? []).forEach((feature) => {
+    const name = feature.properties?.RIVER;
+    if (!name) return;
+    const segmentBasins = feature.properties.basins ?? [];
+    const river = rivers.get(name);
+    if (river) {
+      river.bbox = unionBbox(river.bbox, computeBbox(feature.geometry));
+      segmentBasins.forEach((basin) => river.basins.add(basin));
+    } else {
+      rivers.set(name, { type: 'river', name, basins: new Set(segmentBasins), bbox: computeBbox(feature.geometry) });
+    }
+  });
+
+  rivers.forEach(({ basins: riverBasins, ...river }) => {
+    const names = [...riverBasins];
+    entries.push({ ...river, basin: names[0] ?? null, detail: names.join(', ') || undefined });
+  });
+
+  return entries;
+};
+
+const TYPE_ORDER = { basin: 0, river: 1 };
+
+// Best matches for a query, basins before rivers on equal scores
+export const searchEntries = (entries, query, limit = 8) =>
+  entries
+    .map((entry) => ({ entry, score: fuzzyScore(query, entry.name) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score || TYPE_ORDER[a.entry.type] - TYPE_ORDER[b.entry.type])
+    .slice(0, limit)
+    .map(({ entry }) => entry);
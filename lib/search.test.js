@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { buildSearchIndex, fuzzyScore, searchEntries } from './search';
+
+const basinsData = {
+  features: [
+    { type: 'Feature', bbox: [30, -5, 35, 30], geometry: null, properties: { RIVERBASIN: 'NILE', CONTINENT: 'Africa' } },
+    { type: 'Feature', bbox: [-80, -20, -50, 5], geometry: null, properties: { RIVERBASIN: 'AMAZON', CONTINENT: 'South America' } },
+    {
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [[[10, 45], [20, 45], [20, 50], [10, 50], [10, 45]]] },
+      properties: { RIVERBASIN: 'DANUBE', CONTINENT: 'Europe' },
+    },
+  ],
+};
+
+const riversData = {
+  features: [
+    { geometry: { type: 'LineString', coordinates: [[31, 0], [32, 10]] }, properties: { RIVER: 'Nile', basins: ['NILE'] } },
+    { geometry: { type: 'LineString', coordinates: [[32, 10], [33, 30]] }, properties: { RIVER: 'Nile', basins: ['NILE'] } },
+  ],
+};
+
+describe('fuzzyScore', () => {
+  it('scores substrings above scattered letters and rejects non-matches', () => {
+    expect(fuzzyScore('nile', 'NILE')).toBeGreaterThan(fuzzyScore('nle', 'NILE'));
+    expect(fuzzyScore('xyz', 'NILE')).toBeNull();
+    expect(fuzzyScore('  ', 'NILE')).toBeNull();
+  });
+
+  it('prefers matches at the start of a word', () => {
+    expect(fuzzyScore('ama', 'AMAZON')).toBeGreaterThan(fuzzyScore('azo', 'AMAZON'));
+  });
+});
+
+describe('buildSearchIndex', () => {
+  it('takes the bbox of basins loaded without geometry and computes it otherwise', () => {
+    const entries = buildSearchIndex(basinsData);
+    expect(entries.find((entry) => entry.name === 'NILE').bbox).toEqual([30, -5, 35, 30]);
+    expect(entries.find((entry) => entry.name === 'DANUBE').bbox).toEqual([10, 45, 20, 50]);
+  });
+
+  it('merges river segments with the same name', () => {
+    const rivers = buildSearchIndex(basinsData, riversData).filter((entry) => entry.type === 'river');
+    expect(rivers).toEqual([{ type: 'river', name: 'Nile', basin: 'NILE', detail: 'NILE', bbox: [31, 0, 33, 30] }]);
+  });
+});
+
+describe('searchEntries', () => {
+  it('lists the best matches first, basins before rivers on equal scores', () => {
+    const entries = buildSearchIndex(basinsData, riversData);
+    expect(searchEntries(entries, 'nile').map(({ type, name }) => `${type}:${name}`)).toEqual(['basin:NILE', 'river:Nile']);
+    expect(searchEntries(entries, 'dan')[0].name).toBe('DANUBE');
+  });
+
+  it('returns at most `limit` entries', () => {
+    expect(searchEntries(buildSearchIndex(basinsData), 'a', 2)).toHaveLength(2);
+  });
+});
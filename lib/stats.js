@@ -0,0 +1,62 @@
+import * as d3 from 'd3';
+import { MONTHS, getAnnualAverage, getKnownMonthlyValues, monthProperty } from './months';
+
+// Summary statistics for the analytics panel. Values are read with the same helpers as
+// the map's scales, the treemap and the derived metrics, so every view agrees on them.
+
+// One basin's year: total and average, peak and low months ({ index, value }), months
+// above the severity threshold and the coefficient of variation (std-dev / mean) of
+// the monthly values. Null when the basin has no monthly data for the year.
+export const basinSummary = (properties, year, threshold) => {
+  const months = MONTHS.map((month, index) => ({ index, value: properties[monthProperty(month, year)] })).filter(
+    ({ value }) => value !== null && value !== undefined
+  );
+  if (months.length === 0) return null;
+
+  const values = getKnownMonthlyValues(properties, year);
+  const mean = d3.mean(values);
+  return {
+    total: d3.sum(values),
+    average: getAnnualAverage(properties, year),
+    peak: months[d3.maxIndex(values)],
+    low: months[d3.minIndex(values)],
+    severeMonths: values.filter((v) => v > threshold).length,
+    variation: values.length > 1 && mean !== 0 ? d3.deviation(values) / mean : null,
+    monthCount: values.length,
+  };
+};
+
+// Percentage of values below `value`, counting ties as half below
+export const percentileRank = (value, values) => {
+  if (value === null || value === undefined || values.length === 0) return null;
+  const below = values.filter((v) => v < value).length;
+  const equal = values.filter((v) => v === value).length;
+  return ((below + equal / 2) / values.length) * 100;
+};
+
+// Five-number summary plus mean and standard deviation, or null without values
+export const distribution = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort(d3.ascending);
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    q1: d3.quantileSorted(sorted, 0.25),
+    median: d3.quantileSorted(sorted, 0.5),
+    q3: d3.quantileSorted(sorted, 0.75),
+    max: sorted[sorted.length - 1],
+    mean: d3.mean(sorted),
+    deviation: d3.deviation(sorted) ?? null,
+  };
+};
+
+// Mean of each month over some basins, null for months without values
+export const monthlyMeans = (features, year = null) =>
+  MONTHS.map((month) => d3.mean(features, (f) => f.properties[monthProperty(month, year)]) ?? null);
+
+// Features with a value, highest first: [{ feature, value }]
+export const rankFeatures = (features, valueOf) =>
+  features
+    .map((feature) => ({ feature, value: valueOf(feature.properties) }))
+    .filter(({ value }) => value !== null && value !== undefined)
+    .sort((a, b) => b.value - a.value);
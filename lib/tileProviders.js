@@ -0,0 +1,173 @@
+import path from 'path';
+import fs from 'fs';
+import initSqlJs from 'sql.js';
+
+// Server-side registry of basemap tile providers. Providers come from the
+// TILE_PROVIDERS env variable (JSON), a config file named by TILE_PROVIDERS_FILE,
+// or tile-providers.json in the project root; without any, the hosted defaults apply.
+//
+// Provider types:
+//   xyz        remote tiles, { url } with {z}/{x}/{y} (and optionally {s}) placeholders
+//   directory  local XYZ tiles at <path>/<z>/<x>/<y>.<format>, served by /api/tiles
+//   mbtiles    an MBTiles file, served by /api/tiles
+//   none       no basemap; the map draws a bundled world outline instead
+
+const CONFIG_FILE = path.join(process.cwd(), 'tile-providers.json');
+
+export const PROVIDER_TYPES = ['xyz', 'directory', 'mbtiles', 'none'];
+
+const DEFAULT_CONFIG = {
+  defaultProvider: 'antique',
+  providers: [
+    {
+      id: 'antique',
+      label: 'Antique',
+      type: 'xyz',
+      url: 'https://cartocdn_{s}.global.ssl.fastly.net/base-antique/{z}/{x}/{y}.png',
+      attribution: '&copy; OpenStreetMap contributors',
+    },
+    {
+      id: 'satellite',
+      label: 'Satellite',
+      type: 'xyz',
+      url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+      attribution: 'Tiles &copy; Esri &mdash; Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community',
+    },
+    { id: 'none', label: 'No basemap', type: 'none' },
+  ],
+};
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+};
+
+// Thrown when the tile configuration is unusable
+export class TileConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TileConfigError';
+  }
+}
+
+const readConfig = (env) => {
+  try {
+    if (env.TILE_PROVIDERS) {
+      return JSON.parse(env.TILE_PROVIDERS);
+    }
+    const file = env.TILE_PROVIDERS_FILE ? path.resolve(env.TILE_PROVIDERS_FILE) : CONFIG_FILE;
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  } catch (error) {
+    throw new TileConfigError(`Invalid tile provider configuration: ${error.message}`);
+  }
+  if (env.TILE_PROVIDERS_FILE) {
+    throw new TileConfigError(`Tile provider configuration not found: ${env.TILE_PROVIDERS_FILE}`);
+  }
+  return DEFAULT_CONFIG;
+};
+
+// Check a provider entry and fill in defaults
+const normalizeProvider = (provider, index) => {
+  const where = `Tile provider ${provider?.id ?? index + 1}`;
+  if (!provider || typeof provider.id !== 'string' || !/^[\w-]+$/.test(provider.id)) {
+    throw new TileConfigError(`Tile provider ${index + 1} needs an id of letters, digits, "_" or "-"`);
+  }
+  if (!PROVIDER_TYPES.includes(provider.type)) {
+    throw new TileConfigError(`${where}: type must be one of ${PROVIDER_TYPES.join(', ')}`);
+  }
+  if (provider.type === 'xyz' && typeof provider.url !== 'string') {
+    throw new TileConfigError(`${where}: xyz providers need a url`);
+  }
+  if ((provider.type === 'directory' || provider.type === 'mbtiles') && typeof provider.path !== 'string') {
+    throw new TileConfigError(`${where}: ${provider.type} providers need a path`);
+  }
+
+  return {
+    label: provider.id,
+    attribution: '',
+    minZoom: 0,
+    maxZoom: 18,
+    ...provider,
+    path: provider.path ? path.resolve(provider.path) : undefined,
+    format: provider.format ?? 'png',
+  };
+};
+
+let cachedRegistry = null;
+
+// { defaultProvider, providers, byId }, loaded once per server process
+export const getTileRegistry = (env = process.env) => {
+  if (cachedRegistry) return cachedRegistry;
+
+  const config = readConfig(env);
+  if (!Array.isArray(config.providers) || config.providers.length === 0) {
+    throw new TileConfigError('Tile provider configuration needs a non-empty "providers" list');
+  }
+  const providers = config.providers.map(normalizeProvider);
+  const byId = new Map();
+  providers.forEach((provider) => {
+    if (byId.has(provider.id)) {
+      throw new TileConfigError(`Duplicate tile provider id: ${provider.id}`);
+    }
+    byId.set(provider.id, provider);
+  });
+
+  const defaultProvider = byId.has(config.defaultProvider) ? config.defaultProvider : providers[0].id;
+  cachedRegistry = { defaultProvider, providers, byId };
+  return cachedRegistry;
+};
+
+// What the browser needs to show a provider; local files are reached through the tile route
+export const publicProvider = ({ id, label, type, url, attribution, minZoom, maxZoom }) => ({
+  id,
+  label,
+  type,
+  url: type === 'directory' || type === 'mbtiles' ? `/api/tiles/${id}/{z}/{x}/{y}` : url ?? null,
+  attribution,
+  minZoom,
+  maxZoom,
+});
+
+// MBTiles databases, opened on first use. sql.js keeps the whole file in memory.
+const databases = new Map();
+let sqlJs = null;
+
+const openMbtiles = async (provider) => {
+  if (!databases.has(provider.id)) {
+    sqlJs = sqlJs || (await initSqlJs());
+    const db = new sqlJs.Database(fs.readFileSync(provider.path));
+    const format = db.exec("SELECT value FROM metadata WHERE name = 'format'")[0]?.values[0]?.[0];
+    databases.set(provider.id, { db, format: format || provider.format });
+  }
+  return databases.get(provider.id);
+};
+
+// Tile image { data, contentType } for a local provider, or null when there is no such tile
+export const readTile = async (provider, z, x, y) => {
+  if (provider.type === 'directory') {
+    const file = path.join(provider.path, String(z), String(x), `${y}.${provider.format}`);
+    if (!fs.existsSync(file)) return null;
+    return { data: fs.readFileSync(file), contentType: CONTENT_TYPES[provider.format] ?? 'application/octet-stream' };
+  }
+
+  if (provider.type === 'mbtiles') {
+    const { db, format } = await openMbtiles(provider);
+    // MBTiles rows count from the bottom (TMS), XYZ rows from the top
+    const tmsY = 2 ** z - 1 - y;
+    const statement = db.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?');
+    try {
+      statement.bind([z, x, tmsY]);
+      if (!statement.step()) return null;
+      const [data] = statement.get();
+      return { data: Buffer.from(data), contentType: CONTENT_TYPES[format] ?? 'application/octet-stream' };
+    } finally {
+      statement.free();
+    }
+  }
+
+  return null;
+};
@@ -0,0 +1,49 @@
+import { topology } from 'topojson-server';
+import { presimplify, simplify } from 'topojson-simplify';
+import { quantize } from 'topojson-client';
+import { getBasinIndex } from './basins';
+import { getRivers } from './rivers';
+import { DETAIL_LEVELS, detailMinWeight } from './geometry';
+
+// Simplified TopoJSON of the map layers, one topology per level of detail. Shared
+// borders become shared arcs, so neighbouring basins stay gap-free when simplified.
+// Each layer is presimplified once per process and each level is built on first use.
+
+const QUANTIZATION = 1e5;
+
+// Layer sources. Basins carry only their name; the page already has their data.
+const LAYERS = {
+  basins: () => ({
+    type: 'FeatureCollection',
+    features: getBasinIndex().entries.map(({ feature }) => ({
+      type: 'Feature',
+      properties: { RIVERBASIN: feature.properties.RIVERBASIN },
+      geometry: feature.geometry,
+    })),
+  }),
+  rivers: () => getRivers(),
+};
+
+export const TOPOLOGY_LAYERS = Object.keys(LAYERS);
+
+const presimplified = new Map();
+const simplified = new Map();
+
+// Topology of one layer at one level, with the layer under `objects[layer]`.
+// Throws a RangeError for an unknown layer or level.
+export const getTopology = (layer, level) => {
+  if (!LAYERS[layer]) throw new RangeError(`Unknown layer "${layer}"`);
+  if (!Number.isInteger(level) || level < 0 || level >= DETAIL_LEVELS.length) {
+    throw new RangeError(`level must be an integer from 0 to ${DETAIL_LEVELS.length - 1}`);
+  }
+
+  const key = `${layer}/${level}`;
+  if (!simplified.has(key)) {
+    if (!presimplified.has(layer)) {
+      presimplified.set(layer, presimplify(topology({ [layer]: LAYERS[layer]() }, QUANTIZATION)));
+    }
+    // Simplifying yields absolute coordinates, so quantize again to keep responses small
+    simplified.set(key, quantize(simplify(presimplified.get(layer), detailMinWeight(level)), QUANTIZATION));
+  }
+  return simplified.get(key);
+};
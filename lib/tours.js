@@ -0,0 +1,88 @@
+// Guided tours, as data. Each tour lists its steps in order; a step names its target
+// (a CSS selector), its message keys in lib/messages and its placement. `view` is the
+// view state a tour needs for its targets to exist (the month slider only shows for
+// monthly data); the page applies it before the tour starts. Targets that are still
+// missing, such as the year select of a single-year dataset, are skipped.
+//
+// Completion is kept in localStorage per tour and version, so bumping a tour's version
+// shows the changed tour again to returning users.
+
+export const TOURS = {
+  main: {
+    version: 2,
+    titleKey: 'help.tour.main',
+    steps: [
+      { target: 'body', titleKey: 'tour.welcomeTitle', contentKey: 'tour.welcomeText', placement: 'center', welcome: true },
+      { target: '.map-container', contentKey: 'tour.map', placement: 'right' },
+      { target: '#property-select', contentKey: 'tour.property', placement: 'bottom' },
+      { target: '.pinned-basins', contentKey: 'tour.pinned', placement: 'bottom' },
+      { target: '.bar-chart-container', contentKey: 'tour.barChart', placement: 'left' },
+      { target: '.tree-map-container', contentKey: 'tour.treeMap', placement: 'left' },
+      { target: '.filter-container', contentKey: 'tour.filters', placement: 'top' },
+      { target: '.stats-container', contentKey: 'tour.stats', placement: 'top' },
+      { target: '.data-table-container', contentKey: 'tour.dataTable', placement: 'top' },
+      { target: '#help-menu', contentKey: 'tour.help', placement: 'bottom' },
+    ],
+  },
+  timeline: {
+    version: 1,
+    titleKey: 'help.tour.timeline',
+    view: { property: 'monthly' },
+    steps: [
+      { target: '#month-select', contentKey: 'tour.monthSlider', placement: 'bottom' },
+      { target: '#year-select', contentKey: 'tour.yearSelect', placement: 'bottom' },
+      { target: '#timeline-play', contentKey: 'tour.play', placement: 'bottom' },
+    ],
+  },
+  property: {
+    version: 1,
+    titleKey: 'help.tour.property',
+    steps: [
+      { target: '#property-select', contentKey: 'tour.property', placement: 'bottom' },
+      { target: '#classification-select', contentKey: 'tour.classification', placement: 'bottom' },
+      { target: '.info.legend', contentKey: 'tour.legend', placement: 'left' },
+    ],
+  },
+  layers: {
+    version: 1,
+    titleKey: 'help.tour.layers',
+    steps: [
+      { target: '#rivers-toggle', contentKey: 'tour.rivers', placement: 'bottom' },
+      { target: '#basemap-select', contentKey: 'tour.basemap', placement: 'bottom' },
+    ],
+  },
+  treemap: {
+    version: 1,
+    titleKey: 'help.tour.treemap',
+    steps: [
+      { target: '.tree-map-container', contentKey: 'tour.treeMap', placement: 'left' },
+      { target: '#treemap-size-select', contentKey: 'tour.treeMapSize', placement: 'bottom' },
+      { target: '#treemap-color-select', contentKey: 'tour.treeMapColor', placement: 'bottom' },
+    ],
+  },
+};
+
+// The tour shown automatically to first-time visitors
+export const INTRO_TOUR = 'main';
+
+const STORAGE_KEY = 'water-scarcity-tours';
+
+// { [tourId]: version } of the tours completed or skipped in this browser. Storage can
+// be unavailable (private modes, blocked cookies), in which case nothing is remembered.
+const readSeenTours = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+export const isTourSeen = (id) => readSeenTours()[id] === TOURS[id].version;
+
+export const markTourSeen = (id) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...readSeenTours(), [id]: TOURS[id].version }));
+  } catch {
+    // Not remembered; the tour shows again next time
+  }
+};
@@ -0,0 +1,143 @@
+import { useCallback, useMemo, useRef } from 'react';
+import { useRouter } from 'next/router';
+import { MONTHS } from './months';
+import { CLASSIFICATION_METHODS, MIDPOINT_TYPES } from './classification';
+import { DEFAULT_PALETTE, PALETTES } from './palettes';
+import { EMPTY_FILTERS, parseFilters, serializeFilters } from './filters';
+import { REGION_GROUPINGS } from './regions';
+
+// Dashboard view state kept in the URL query so links reproduce the same view
+// and back/forward step through view changes.
+
+export const DEFAULT_VIEW = {
+  property: 'population',
+  month: 'jan',
+  year: null,
+  basins: [],
+  basemap: null, // Tile provider id; null uses the configured default
+  rivers: true,
+  center: [40, 40],
+  zoom: 2,
+  classification: 'continuous',
+  classes: 5,
+  midpointType: 'percentile',
+  midpoint: 0.3,
+  palette: DEFAULT_PALETTE,
+  metrics: [], // User-defined metrics: [{ label, expression }]
+  threshold: null, // Cutoff for "months above threshold" and severe scarcity; null uses the median month
+  moderateThreshold: null, // Moderate scarcity line in the bar chart; null uses the lower quartile
+  treemapSize: 'scarcity_population',
+  treemapColor: 'continent',
+  filters: EMPTY_FILTERS,
+  scenario: null, // Id of an uploaded scenario kept in this browser; null shows the baseline
+  difference: false, // Map the scenario minus the baseline
+  regionGrouping: 'none', // Basins grouped into regions: 'none', 'continent' or 'upload' (see lib/regions)
+};
+
+// Custom metric definitions are stored as JSON; anything malformed is dropped
+const parseMetrics = (value) => {
+  try {
+    const metrics = JSON.parse(value);
+    return Array.isArray(metrics)
+      ? metrics.filter((m) => typeof m?.label === 'string' && typeof m?.expression === 'string')
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+const toNumber = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+};
+
+// Read a view from router query parameters, falling back to defaults for anything invalid
+export const parseViewState = (query) => ({
+  property: query.property || DEFAULT_VIEW.property,
+  month: MONTHS.includes(query.month) ? query.month : DEFAULT_VIEW.month,
+  year: toNumber(query.year, DEFAULT_VIEW.year),
+  basins: query.basins ? String(query.basins).split(',').filter(Boolean) : DEFAULT_VIEW.basins,
+  // Links from before the provider registry used satellite=1
+  basemap: query.basemap || (query.satellite === '1' ? 'satellite' : DEFAULT_VIEW.basemap),
+  rivers: query.rivers !== '0',
+  center: [toNumber(query.lat, DEFAULT_VIEW.center[0]), toNumber(query.lng, DEFAULT_VIEW.center[1])],
+  zoom: toNumber(query.zoom, DEFAULT_VIEW.zoom),
+  classification: CLASSIFICATION_METHODS[query.scheme] ? query.scheme : DEFAULT_VIEW.classification,
+  classes: Math.min(Math.max(Math.round(toNumber(query.classes, DEFAULT_VIEW.classes)), 2), 9),
+  midpointType: MIDPOINT_TYPES[query.mid] ? query.mid : DEFAULT_VIEW.midpointType,
+  midpoint: toNumber(query.midValue, DEFAULT_VIEW.midpoint),
+  palette: PALETTES[query.palette] ? query.palette : DEFAULT_PALETTE,
+  metrics: query.metrics ? parseMetrics(query.metrics) : DEFAULT_VIEW.metrics,
+  threshold: toNumber(query.threshold, DEFAULT_VIEW.threshold),
+  moderateThreshold: toNumber(query.moderate, DEFAULT_VIEW.moderateThreshold),
+  treemapSize: query.size || DEFAULT_VIEW.treemapSize,
+  treemapColor: query.colorBy || DEFAULT_VIEW.treemapColor,
+  filters: parseFilters(query),
+  scenario: query.scenario || DEFAULT_VIEW.scenario,
+  difference: query.diff === '1',
+  regionGrouping: REGION_GROUPINGS.includes(query.group) ? query.group : DEFAULT_VIEW.regionGrouping,
+});
+
+// Write a view as query parameters, leaving out values that match the defaults
+export const serializeViewState = (view) => {
+  const query = {};
+
+  if (view.property !== DEFAULT_VIEW.property) query.property = view.property;
+  if (view.month !== DEFAULT_VIEW.month) query.month = view.month;
+  if (view.year !== null) query.year = String(view.year);
+  if (view.basins.length > 0) query.basins = view.basins.join(',');
+  if (view.basemap !== null) query.basemap = view.basemap;
+  if (!view.rivers) query.rivers = '0';
+  if (view.center[0] !== DEFAULT_VIEW.center[0] || view.center[1] !== DEFAULT_VIEW.center[1]) {
+    query.lat = view.center[0].toFixed(4);
+    query.lng = view.center[1].toFixed(4);
+  }
+  if (view.zoom !== DEFAULT_VIEW.zoom) query.zoom = String(view.zoom);
+  if (view.classification !== DEFAULT_VIEW.classification) query.scheme = view.classification;
+  if (view.classes !== DEFAULT_VIEW.classes) query.classes = String(view.classes);
+  if (view.midpointType !== DEFAULT_VIEW.midpointType) query.mid = view.midpointType;
+  if (view.midpoint !== DEFAULT_VIEW.midpoint) query.midValue = String(view.midpoint);
+  if (view.palette !== DEFAULT_VIEW.palette) query.palette = view.palette;
+  if (view.metrics.length > 0) query.metrics = JSON.stringify(view.metrics);
+  if (view.threshold !== null) query.threshold = String(view.threshold);
+  if (view.moderateThreshold !== null) query.moderate = String(view.moderateThreshold);
+  if (view.treemapSize !== DEFAULT_VIEW.treemapSize) query.size = view.treemapSize;
+  if (view.treemapColor !== DEFAULT_VIEW.treemapColor) query.colorBy = view.treemapColor;
+  if (view.scenario !== null) query.scenario = view.scenario;
+  if (view.difference) query.diff = '1';
+  if (view.regionGrouping !== DEFAULT_VIEW.regionGrouping) query.group = view.regionGrouping;
+
+  return { ...query, ...serializeFilters(view.filters) };
+};
+
+// Returns [view, updateView, isReady]. updateView takes a partial view (or a function of
+// the latest view) and pushes a history entry; pass { replace: true } to update in place.
+export const useUrlState = () => {
+  const router = useRouter();
+  const view = useMemo(() => parseViewState(router.query), [router.query]);
+
+  // Latest view including updates not yet reflected in router.query, so several
+  // updates in a row (or from stale event handlers) build on each other
+  const latestView = useRef(view);
+  const syncedQuery = useRef(router.query);
+  if (syncedQuery.current !== router.query) {
+    syncedQuery.current = router.query;
+    latestView.current = view;
+  }
+
+  const updateView = useCallback(
+    (patch, { replace = false } = {}) => {
+      const next = {
+        ...latestView.current,
+        ...(typeof patch === 'function' ? patch(latestView.current) : patch),
+      };
+      latestView.current = next;
+
+      const url = { pathname: router.pathname, query: serializeViewState(next) };
+      router[replace ? 'replace' : 'push'](url, undefined, { shallow: true, scroll: false });
+    },
+    [router]
+  );
+
+  return [view, updateView, router.isReady];
+};
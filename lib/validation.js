@@ -0,0 +1,86 @@
+import { MONTHS, YEAR_MONTH_PATTERN } from './months';
+
+// Validation of basin features, shared by the server's dataset loader and uploaded
+// scenarios in the browser, so both accept exactly the same data.
+
+export const REQUIRED_PROPERTIES = ['RIVERBASIN', 'CONTINENT', 'population', 'average', ...MONTHS];
+
+// Required properties that features with year-month keys (`2010_jan`…) may leave out;
+// they are then derived from the latest year (see deriveSingleYearProperties)
+const DERIVED_PROPERTIES = ['average', ...MONTHS];
+
+const NUMERIC_PROPERTIES = ['population', 'average', ...MONTHS];
+
+// Thrown when a dataset cannot be used; `issues` lists every problem found
+export class DatasetError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'DatasetError';
+    this.issues = issues;
+  }
+}
+
+// Check one feature for the properties the dashboard relies on. Features joined to the
+// baseline's basins by name (scenario CSVs) need no geometry of their own.
+export const validateFeature = (feature, index, source, { requireGeometry = true } = {}) => {
+  const issues = [];
+  const properties = feature?.properties;
+  const basin = properties?.RIVERBASIN ?? null;
+  const report = (property, message) => issues.push({ source, feature: index, basin, property, message });
+
+  if (!feature || feature.type !== 'Feature') {
+    report(null, 'is not a GeoJSON Feature');
+    return issues;
+  }
+  if (requireGeometry && !feature.geometry) {
+    report(null, 'has no geometry');
+  }
+  if (!properties || typeof properties !== 'object') {
+    report(null, 'has no properties');
+    return issues;
+  }
+
+  const hasYearMonths = Object.keys(properties).some((property) => YEAR_MONTH_PATTERN.test(property));
+  REQUIRED_PROPERTIES.forEach((property) => {
+    if (hasYearMonths && DERIVED_PROPERTIES.includes(property)) return;
+    if (!(property in properties)) {
+      report(property, 'is missing');
+    }
+  });
+
+  if ('RIVERBASIN' in properties && (typeof basin !== 'string' || basin.trim() === '')) {
+    report('RIVERBASIN', 'must be a non-empty string');
+  }
+
+  NUMERIC_PROPERTIES.forEach((property) => {
+    const value = properties[property];
+    if (value !== undefined && value !== null && typeof value !== 'number') {
+      report(property, `must be a number or null, got ${JSON.stringify(value)}`);
+    }
+  });
+
+  Object.entries(properties).forEach(([property, value]) => {
+    if (YEAR_MONTH_PATTERN.test(property) && value !== null && typeof value !== 'number') {
+      report(property, `must be a number or null, got ${JSON.stringify(value)}`);
+    }
+  });
+
+  return issues;
+};
+
+// Issues with a FeatureCollection's features, including repeated basins
+export const validateFeatures = (features, source, options = {}) => {
+  const issues = [];
+  const seen = new Set();
+  features.forEach((feature, index) => {
+    const featureIssues = validateFeature(feature, index, source, options);
+    issues.push(...featureIssues);
+    if (featureIssues.length > 0) return;
+    const basin = feature.properties.RIVERBASIN;
+    if (seen.has(basin)) {
+      issues.push({ source, feature: index, basin, property: 'RIVERBASIN', message: 'is a duplicate' });
+    }
+    seen.add(basin);
+  });
+  return issues;
+};
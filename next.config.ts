@@ -1,7 +1,13 @@
 import type { NextConfig } from "next";
 
 const nextConfig: NextConfig = {
-  /* config options here */
+  // sql.js loads its WebAssembly file from its own package directory at runtime
+  serverExternalPackages: ["sql.js"],
+  // UI languages, matching LOCALES in lib/i18n.js; English pages have no locale prefix
+  i18n: {
+    locales: ["en", "es", "fr"],
+    defaultLocale: "en",
+  },
 };
 
 export default nextConfig;
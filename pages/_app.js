@@ -1,8 +1,14 @@
 import '../styles/globals.css';  // Import global styles here
+import '../styles/print.css';  // Print layout of the basin reports
 import React from 'react';
+import { I18nProvider } from '../lib/i18n';
 
 function MyApp({ Component, pageProps }) {
-  return <Component {...pageProps} />;
+  return (
+    <I18nProvider>
+      <Component {...pageProps} />
+    </I18nProvider>
+  );
 }
 
-export default MyApp;
\ No newline at end of file
+export default MyApp;
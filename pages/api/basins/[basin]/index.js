@@ -0,0 +1,23 @@
+import { getBasin, loadErrorBody } from '../../../../lib/basins';
+
+// GET /api/basins/:basin — a single basin feature looked up by RIVERBASIN
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  let entry;
+  try {
+    entry = getBasin(req.query.basin);
+  } catch (error) {
+    console.error('Error loading GeoJSON data:', error);
+    return res.status(500).json(loadErrorBody(error));
+  }
+
+  if (!entry) {
+    return res.status(404).json({ error: `Basin "${req.query.basin}" not found` });
+  }
+
+  return res.status(200).json({ ...entry.feature, bbox: entry.bbox });
+}
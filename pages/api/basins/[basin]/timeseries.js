@@ -0,0 +1,30 @@
+import { getBasin, getBasinIndex, getBasinTimeSeries, loadErrorBody } from '../../../../lib/basins';
+
+// GET /api/basins/:basin/timeseries — monthly values of a basin, plus one series per year
+// for multi-year datasets
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  let entry;
+  let years;
+  try {
+    entry = getBasin(req.query.basin);
+    ({ years } = getBasinIndex());
+  } catch (error) {
+    console.error('Error loading GeoJSON data:', error);
+    return res.status(500).json(loadErrorBody(error));
+  }
+
+  if (!entry) {
+    return res.status(404).json({ error: `Basin "${req.query.basin}" not found` });
+  }
+
+  return res.status(200).json({
+    basin: entry.feature.properties.RIVERBASIN,
+    series: getBasinTimeSeries(entry),
+    years: Object.fromEntries(years.map((year) => [year, getBasinTimeSeries(entry, year)])),
+  });
+}
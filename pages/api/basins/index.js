@@ -0,0 +1,24 @@
+import { loadErrorBody, parseBasinQuery, queryBasins } from '../../../lib/basins';
+
+// GET /api/basins — basin features as a GeoJSON FeatureCollection, optionally filtered
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  let filter;
+  try {
+    filter = parseBasinQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const features = queryBasins(filter);
+    return res.status(200).json({ type: 'FeatureCollection', features });
+  } catch (error) {
+    console.error('Error loading GeoJSON data:', error);
+    return res.status(500).json(loadErrorBody(error));
+  }
+}
@@ -0,0 +1,21 @@
+import { loadErrorBody } from '../../lib/basins';
+import { DatasetError } from '../../lib/dataset';
+import { queryRivers } from '../../lib/rivers';
+
+// GET /api/rivers — river features with the basins each one crosses (`basins`).
+// basin=<name> limits the result to the rivers of one basin.
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  try {
+    const features = queryRivers(req.query.basin || null);
+    return res.status(200).json({ type: 'FeatureCollection', features });
+  } catch (error) {
+    console.error('Error loading river data:', error);
+    if (error instanceof DatasetError) return res.status(500).json(loadErrorBody(error));
+    return res.status(500).json({ error: error.message });
+  }
+}
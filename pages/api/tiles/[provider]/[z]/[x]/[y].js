@@ -0,0 +1,37 @@
+import { getTileRegistry, readTile } from '../../../../../../lib/tileProviders';
+
+const TILE_INDEX = /^\d+$/;
+
+// GET /api/tiles/<provider>/<z>/<x>/<y> — one tile from a local directory or MBTiles provider.
+// The y segment may carry an extension, as in 3/4/2.png.
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  const { provider: id, z, x } = req.query;
+  const y = String(req.query.y).replace(/\.\w+$/, '');
+  if (![z, x, y].every((value) => TILE_INDEX.test(value))) {
+    return res.status(400).json({ error: 'Tile coordinates must be non-negative integers' });
+  }
+
+  try {
+    const provider = getTileRegistry().byId.get(id);
+    if (!provider || (provider.type !== 'directory' && provider.type !== 'mbtiles')) {
+      return res.status(404).json({ error: `No local tile provider named ${id}` });
+    }
+
+    const tile = await readTile(provider, Number(z), Number(x), Number(y));
+    if (!tile) {
+      return res.status(404).json({ error: 'Tile not found' });
+    }
+
+    res.setHeader('Content-Type', tile.contentType);
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    return res.status(200).send(tile.data);
+  } catch (error) {
+    console.error('Error reading tile:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,17 @@
+import { getTileRegistry, publicProvider } from '../../../lib/tileProviders';
+
+// GET /api/tiles — the configured basemap providers and the default one
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  try {
+    const { defaultProvider, providers } = getTileRegistry();
+    return res.status(200).json({ defaultProvider, providers: providers.map(publicProvider) });
+  } catch (error) {
+    console.error('Error loading tile providers:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,26 @@
+import { loadErrorBody } from '../../../lib/basins';
+import { DatasetError } from '../../../lib/dataset';
+import { TOPOLOGY_LAYERS, getTopology } from '../../../lib/topology';
+
+// GET /api/topology/<layer>?level=n — simplified TopoJSON of the basins or rivers.
+// Levels run from 0 (coarsest) up; see DETAIL_LEVELS for the zooms each one serves.
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: `Method ${req.method} not allowed` });
+  }
+
+  const { layer, level = '0' } = req.query;
+  if (!TOPOLOGY_LAYERS.includes(layer)) {
+    return res.status(404).json({ error: `Unknown layer "${layer}"` });
+  }
+
+  try {
+    return res.status(200).json(getTopology(layer, Number(level)));
+  } catch (error) {
+    if (error instanceof RangeError) return res.status(400).json({ error: error.message });
+    console.error('Error building topology:', error);
+    if (error instanceof DatasetError) return res.status(500).json(loadErrorBody(error));
+    return res.status(500).json({ error: error.message });
+  }
+}
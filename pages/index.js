@@ -1,101 +1,319 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import dynamic from 'next/dynamic';
-import path from 'path';
-import fs from 'fs';
 import TreeMap from '../components/TreeMap';
 import BarChart from '../components/BarChart';
-import Joyride from 'react-joyride'; // Import react-joyride
+import DataErrorPanel from '../components/DataErrorPanel';
+import PinnedBasins from '../components/PinnedBasins';
+import ExportMenu from '../components/ExportMenu';
+import MetricBuilder from '../components/MetricBuilder';
+import FilterPanel from '../components/FilterPanel';
+import RankedTable from '../components/RankedTable';
+import DataTable from '../components/DataTable';
+import ScenarioPanel from '../components/ScenarioPanel';
+import StatsPanel from '../components/StatsPanel';
+import LanguageSwitcher from '../components/LanguageSwitcher';
+import SelectionAnnouncer from '../components/SelectionAnnouncer';
+import GuidedTour from '../components/GuidedTour';
+import HelpMenu from '../components/HelpMenu';
+import RegionPanel from '../components/RegionPanel';
+import { MONTHS, getDatasetYears, monthProperty } from '../lib/months';
+import { useUrlState } from '../lib/urlState';
+import { useI18n } from '../lib/i18n';
+import { INTRO_TOUR, TOURS, isTourSeen } from '../lib/tours';
+import { PALETTES, getPalette } from '../lib/palettes';
+import { filterFeatures, hasActiveFilters } from '../lib/filters';
+import {
+  applyMetrics,
+  buildMetrics,
+  defaultModerateThreshold,
+  defaultThreshold,
+  localizeMetrics,
+} from '../lib/metrics';
+import { createMonthlyColorScale } from '../lib/colorScales';
+import { differenceData } from '../lib/scenarios';
+import { aggregateRegion, basinsInGeometry, continentRegions, uploadedRegions } from '../lib/regions';
+import { createScenarioId, deleteScenario, listScenarios, saveScenario } from '../lib/scenarioStore';
 
 // Dynamically import the Map component to prevent SSR issues with Leaflet
 const Map = dynamic(() => import('../components/Map'), { ssr: false });
 
-export default function Home({ geojsonData }) {
-  const [selectedBasin, setSelectedBasin] = useState(null); // Store selected basin
+export default function Home() {
+  const [geojsonData, setGeojsonData] = useState(null); // Basin FeatureCollection from the API
+  const [selectedBasin, setSelectedBasin] = useState(null); // Basin previewed by hovering
+  const [focusedBasin, setFocusedBasin] = useState(null); // { basin, source, zoom, id } of the last basin picked
+  const pickCount = useRef(0);
+  const [view, updateView, isViewReady] = useUrlState(); // Shareable view state kept in the URL
+  const i18n = useI18n();
+  const { t, monthLabels } = i18n;
+  const pinnedBasins = view.basins; // Basins pinned for comparison
   const [loading, setLoading] = useState(true); // Loading state
+  const [loadError, setLoadError] = useState(null); // { error, issues } when the dataset fails to load
+  const [scenarios, setScenarios] = useState([]); // Uploaded datasets stored in this browser
+  const [activeTour, setActiveTour] = useState(null); // Id of the running tour in lib/tours
+  const [lassoRegions, setLassoRegions] = useState([]); // Regions drawn with the map's lasso
+  const [regionUpload, setRegionUpload] = useState(null); // Uploaded region polygons, see lib/regions
+  const lassoCount = useRef(0);
 
-  // Define Joyride steps
-  const steps = [
-    { 
-      target: 'body', // Full-page focus
-      content: (
-        <div>
-          <h2 style={{ color: '#fff', fontSize: '24px' }}>Welcome to the Page!</h2>
-          <p style={{ color: '#ddd', fontSize: '16px' }}>
-            This is an interactive guide to help you navigate the features of this page.
-          </p>
-          <p style={{ color: '#ddd', fontSize: '14px' }}>
-            Click Next to begin the tour.
-          </p>
-        </div>
-      ),
-      placement: 'center',
-      disableBeacon: true,
-      spotlightPadding: 0, // Remove padding to dim the entire page
-      styles: {
-        options: {
-          zIndex: 10000, // Keep on top
-          backgroundColor: 'rgba(0, 0, 0, 0.6)', // Lighter dimmed background
-        },
-        tooltip: {
-          backgroundColor: '#222', // Tooltip background for better contrast
-          padding: '20px', // Increase padding for better spacing
-          borderRadius: '8px', // Rounded corners for a cleaner look
-          maxWidth: '400px', // Limit width for a focused layout
-        },
-        tooltipTitle: {
-          fontSize: '20px',
-          fontWeight: 'bold',
-        },
-        tooltipContent: {
-          textAlign: 'center',
-          color: '#ddd',
-        },
-        buttonNext: {
-          backgroundColor: '#ff3366', // Match branding or more vibrant colors
-          color: '#fff',
-        },
-        buttonSkip: {
-          color: '#fff',
-          opacity: 0.7,
-        },
-      },
-    },
-    {
-      target: '.map-container', // Map container
-      content: 'This is the interactive map. Click on a basin to explore water scarcity data.',
-      placement: 'right',
-    },
-    {
-      target: '.bar-chart-container', // Bar Chart container
-      content: 'Here you can see a bar chart representing water scarcity data.',
-      placement: 'left',
-    },
-    {
-      target: '.tree-map-container', // Tree Map container
-      content: 'This section shows a tree map with the area being water scarcity level multiplied by population. This is to highlight the total effect.',
-      placement: 'left',
-    },
+  // Dataset shown: the chosen scenario, or the baseline from the API. A scenario id
+  // from a link opened in another browser is not found and shows the baseline.
+  const activeScenario = scenarios.find((scenario) => scenario.id === view.scenario) ?? null;
+  const sourceData = activeScenario?.data ?? geojsonData;
+
+  // Years available in the dataset; empty for single-year data
+  const years = useMemo(() => (sourceData ? getDatasetYears(sourceData) : []), [sourceData]);
+
+  // Year shown in multi-year datasets, defaulting to the most recent one
+  const selectedYear = years.includes(view.year) ? view.year : years[years.length - 1] ?? null;
+
+  // Built-in and user-defined derived metrics
+  const metrics = useMemo(() => localizeMetrics(buildMetrics(view.metrics), i18n), [view.metrics, i18n]);
+  const medianThreshold = useMemo(
+    () => (sourceData ? defaultThreshold(sourceData, selectedYear) : 0),
+    [sourceData, selectedYear]
+  );
+  const threshold = view.threshold ?? medianThreshold;
+  const quartileThreshold = useMemo(
+    () => (sourceData ? defaultModerateThreshold(sourceData, selectedYear) : 0),
+    [sourceData, selectedYear]
+  );
+  const moderateThreshold = view.moderateThreshold ?? quartileThreshold;
+
+  // Basin data with the derived metrics added to each feature's properties
+  const dashboardData = useMemo(
+    () => (sourceData ? applyMetrics(sourceData, metrics, { year: selectedYear, threshold }) : null),
+    [sourceData, metrics, selectedYear, threshold]
+  );
+
+  // With a scenario shown, the baseline with the same metrics for the bar chart's paired
+  // bars and the map's difference view
+  const baselineData = useMemo(
+    () => (activeScenario && geojsonData ? applyMetrics(geojsonData, metrics, { year: selectedYear, threshold }) : null),
+    [activeScenario, geojsonData, metrics, selectedYear, threshold]
+  );
+  const showDifference = view.difference && baselineData !== null;
+  const mapData = useMemo(
+    () => (showDifference ? differenceData(dashboardData, baselineData) : dashboardData),
+    [showDifference, dashboardData, baselineData]
+  );
+
+  // Regions drawn with the lasso, plus the continents or uploaded regions when grouping.
+  // Each gets an aggregated virtual feature with the same derived metrics as the basins,
+  // which the bar chart and the data table show like a basin.
+  const regions = useMemo(() => {
+    if (!sourceData) return [];
+    const { features } = sourceData;
+    let grouped = [];
+    if (view.regionGrouping === 'continent') grouped = continentRegions(features);
+    if (view.regionGrouping === 'upload' && regionUpload) grouped = uploadedRegions(regionUpload, features);
+    const all = [...lassoRegions, ...grouped];
+    const aggregated = applyMetrics(
+      { type: 'FeatureCollection', features: all.map((region) => aggregateRegion(region, features)) },
+      metrics,
+      { year: selectedYear, threshold }
+    );
+    return all.map((region, i) => ({ ...region, feature: aggregated.features[i] }));
+  }, [sourceData, view.regionGrouping, regionUpload, lassoRegions, metrics, selectedYear, threshold]);
+  const regionFeatures = useMemo(() => regions.map((region) => region.feature), [regions]);
+  const regionShapes = useMemo(
+    () => ({
+      type: 'FeatureCollection',
+      features: regions
+        .filter((region) => region.geometry)
+        .map((region) => ({ type: 'Feature', id: region.id, geometry: region.geometry, properties: { name: region.name } })),
+    }),
+    [regions]
+  );
+
+  // The map's monthly color scale, so the bar chart colors each month the same way
+  const monthColorScale = useMemo(
+    () =>
+      dashboardData
+        ? createMonthlyColorScale(dashboardData, getPalette(view.palette), view.classification, view.classes)
+        : null,
+    [dashboardData, view.palette, view.classification, view.classes]
+  );
+  const scarcityThresholds = [
+    { label: t('home.moderateScarcity'), value: moderateThreshold, color: '#e69f00' },
+    { label: t('home.severeScarcity'), value: threshold, color: '#d55e00' },
   ];
 
-  // Handle loading state
+  // Property the map shows, which the filter histogram and ranked table follow
+  const mapProperty = view.property === 'monthly' ? monthProperty(view.month, selectedYear) : view.property;
+  const mapMetric = metrics.find((metric) => metric.id === view.property && !metric.error) ?? null;
+  const propertyLabels = useMemo(
+    () => ({
+      population: t('property.population'),
+      average: t('property.average'),
+      ...Object.fromEntries(MONTHS.map((month, i) => [month, monthLabels[i]])),
+      ...Object.fromEntries(
+        MONTHS.map((month, i) => [monthProperty(month, selectedYear), `${monthLabels[i]} ${selectedYear ?? ''}`.trim()])
+      ),
+      ...Object.fromEntries(metrics.map((metric) => [metric.id, metric.label])),
+    }),
+    [metrics, selectedYear, t, monthLabels]
+  );
+
+  // Basins matching the filters; every view narrows or emphasizes to these
+  const filteredFeatures = useMemo(
+    () => (dashboardData ? filterFeatures(dashboardData.features, view.filters) : []),
+    [dashboardData, view.filters]
+  );
+  const filteredData = useMemo(
+    () => (dashboardData ? { ...dashboardData, features: filteredFeatures } : null),
+    [dashboardData, filteredFeatures]
+  );
+  const matchingBasins = useMemo(
+    () => (hasActiveFilters(view.filters) ? new Set(filteredFeatures.map((f) => f.properties.RIVERBASIN)) : null),
+    [view.filters, filteredFeatures]
+  );
+
+  // Features on screen for exports: the pinned basins when any are pinned, otherwise the filtered ones
+  const exportFeatures = useMemo(() => {
+    if (!dashboardData) return [];
+    if (pinnedBasins.length === 0) return filteredFeatures;
+    return dashboardData.features.filter((f) => pinnedBasins.includes(f.properties.RIVERBASIN));
+  }, [dashboardData, filteredFeatures, pinnedBasins]);
+
+  const exportScopeLabel = () => {
+    if (pinnedBasins.length > 0) return t('home.exportPinned', { count: exportFeatures.length });
+    if (matchingBasins) return t('home.exportFiltered', { count: exportFeatures.length });
+    return t('home.exportAll', { count: exportFeatures.length });
+  };
+
+  const barChartRef = useRef(null);
+  const treeMapRef = useRef(null);
+
+  // Show the intro tour once the page is ready, unless it was already seen in this browser
+  const isPageReady = !loading && isViewReady && !loadError;
   useEffect(() => {
-    if (geojsonData) {
-      setLoading(false);
-    }
-  }, [geojsonData]);
+    if (isPageReady && !isTourSeen(INTRO_TOUR)) setActiveTour(INTRO_TOUR);
+  }, [isPageReady]);
+
+  // Lasso and uploaded regions live in this page only, so pins of them restored from the
+  // URL (after a reload or from a shared link) no longer resolve; drop those once the data
+  // is in, so they don't linger or clash with the names of new lasso regions
+  const prunedPins = useRef(false);
+  useEffect(() => {
+    if (prunedPins.current || !isPageReady || !geojsonData) return;
+    prunedPins.current = true;
+    const known = new Set([...geojsonData.features, ...regionFeatures].map((f) => f.properties.RIVERBASIN));
+    if (pinnedBasins.every((basin) => known.has(basin))) return;
+    updateView(({ basins }) => ({ basins: basins.filter((basin) => known.has(basin)) }), { replace: true });
+  }, [isPageReady, geojsonData, regionFeatures, pinnedBasins, updateView]);
+
+  // Start a tour, first switching to the view its targets need (see lib/tours)
+  const startTour = (id) => {
+    if (TOURS[id].view) updateView(TOURS[id].view);
+    setActiveTour(id);
+  };
+  // The tour runs once the URL holds that view, as the router updates it asynchronously
+  const tourReady =
+    activeTour !== null && Object.entries(TOURS[activeTour].view ?? {}).every(([key, value]) => view[key] === value);
+
+  // Fetch the basin data from the API instead of embedding it in the page props. Only
+  // properties and bounding boxes: the map draws simplified shapes from /api/topology, and
+  // full-detail geometry is fetched only when exporting GeoJSON
+  useEffect(() => {
+    fetch('/api/basins?geometry=false')
+      .then(async (response) => {
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          setLoadError({ error: data.error || `Request failed with status ${response.status}`, issues: data.issues || [] });
+          return;
+        }
+        setGeojsonData(data);
+      })
+      .catch((error) => setLoadError({ error: error.message, issues: [] }))
+      .finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => {
+    listScenarios()
+      .then(setScenarios)
+      .catch((error) => console.error('Error loading stored scenarios:', error));
+  }, []);
+
+  // Store a validated upload and show it
+  const addScenario = async ({ name, data }) => {
+    const scenario = { id: createScenarioId(), name, createdAt: Date.now(), data };
+    await saveScenario(scenario);
+    setScenarios((current) => [...current, scenario]);
+    updateView({ scenario: scenario.id });
+  };
+
+  const removeScenario = (id) => {
+    deleteScenario(id)
+      .then(() => setScenarios((current) => current.filter((scenario) => scenario.id !== id)))
+      .catch((error) => console.error('Error deleting scenario:', error));
+    if (view.scenario === id) updateView({ scenario: null, difference: false });
+  };
+
+  // Group the basins inside a lasso into a new region and pin it for the charts
+  const addLassoRegion = (ring) => {
+    const geometry = { type: 'Polygon', coordinates: [ring] };
+    const basins = basinsInGeometry(sourceData.features, geometry);
+    if (basins.length === 0) return;
+    lassoCount.current += 1;
+    const name = t('regions.lassoName', { n: lassoCount.current });
+    setLassoRegions((current) => [...current, { id: `lasso:${lassoCount.current}`, name, source: 'lasso', basins, geometry }]);
+    updateView(({ basins: pinned }) => ({ basins: [...pinned, name] }));
+  };
+
+  const removeLassoRegion = (id) => {
+    const region = lassoRegions.find((r) => r.id === id);
+    setLassoRegions((current) => current.filter((r) => r.id !== id));
+    if (region) updateView(({ basins }) => ({ basins: basins.filter((b) => b !== region.name) }));
+  };
 
   // Map area selection handler
   const onMapAreaSelect = (areaId) => {
-    setSelectedBasin(areaId); // Update selected basin on map click
+    setSelectedBasin(areaId); // Preview the hovered basin
+  };
+
+  // Pin or unpin a basin on click; hover stays a temporary preview
+  const togglePinnedBasin = (basin) => {
+    updateView(({ basins }) => ({
+      basins: basins.includes(basin) ? basins.filter((b) => b !== basin) : [...basins, basin],
+    }));
+  };
+
+  // Pick a basin in any view ('map', 'treemap', 'table', 'stats' or 'search'). Picking pins it, or unpins it
+  // when `toggle` is set and it was pinned; a pinned pick becomes the focused basin that the
+  // other views follow: the map fits and opens it (when `zoom`), the treemap outlines it and
+  // the bar chart scrolls into view.
+  const pickBasin = (basin, source, { toggle = true, zoom = source !== 'map' } = {}) => {
+    let pinned = true;
+    updateView(({ basins }) => {
+      // Decided against the latest pins, since map handlers can hold an older render's values
+      pinned = !(toggle && basins.includes(basin));
+      if (!pinned) return { basins: basins.filter((b) => b !== basin) };
+      return { basins: basins.includes(basin) ? basins : [...basins, basin] };
+    });
+    if (!pinned) return;
+
+    setSelectedBasin(basin);
+    pickCount.current += 1;
+    setFocusedBasin({ basin, source, zoom, id: pickCount.current });
+    if (source === 'map') {
+      barChartRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
   };
 
-  if (loading) {
+  if (loadError) {
+    return (
+      <div style={{ padding: '20px' }}>
+        <DataErrorPanel error={loadError.error} issues={loadError.issues} />
+      </div>
+    );
+  }
+
+  if (loading || !isViewReady) {
     // Render loading screen while data is being fetched
     return (
       <div className="spinner">
         <div>
-          <h2>Loading...</h2>
-          <p>Fetching data and preparing the map...</p>
+          <h2>{t('home.loading')}</h2>
+          <p>{t('home.loadingDetail')}</p>
         </div>
       </div>
     );
@@ -103,21 +321,73 @@ export default function Home({ geojsonData }) {
 
   return (
     <div style={{ padding: '20px' }}>
-      {/* Joyride for the guide animation */}
-      <Joyride
-        steps={steps}
-        continuous={true}
-        showProgress={true}
-        showSkipButton={true}
-        styles={{
-          options: {
-            zIndex: 10000, // Ensure Joyride appears above other elements
-          },
-        }}
-      />
+      {/* Guided tour: the intro on a first visit, or one picked from the help menu */}
+      <GuidedTour key={activeTour ?? 'none'} tourId={activeTour} run={tourReady} onEnd={() => setActiveTour(null)} />
 
       <div className="element">
-      <h1 className="heading">Water Scarcity Through Time</h1>
+      <h1 className="heading">{t('home.title')}</h1>
+      </div>
+
+      <SelectionAnnouncer
+        features={dashboardData.features}
+        selectedBasin={selectedBasin}
+        pinnedBasins={pinnedBasins}
+        selectedYear={selectedYear}
+      />
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+        <PinnedBasins
+          pinnedBasins={pinnedBasins}
+          onUnpin={togglePinnedBasin}
+          onClear={() => updateView({ basins: [] })}
+        />
+        <select
+          id="palette-select"
+          value={view.palette}
+          onChange={(e) => updateView({ palette: e.target.value })}
+          title={t('home.paletteTitle')}
+          aria-label={t('home.paletteTitle')}
+          style={{ marginLeft: 'auto', padding: '5px', backgroundColor: '#f5e6d0', border: 'none', borderRadius: '5px' }}
+        >
+          {Object.keys(PALETTES).map((id) => (
+            <option key={id} value={id}>
+              {t(`palette.${id}`)}
+            </option>
+          ))}
+        </select>
+        <LanguageSwitcher />
+        <MetricBuilder
+          metrics={metrics}
+          threshold={view.threshold}
+          defaultThreshold={medianThreshold}
+          onThresholdChange={(value) => updateView({ threshold: value }, { replace: true })}
+          moderateThreshold={view.moderateThreshold}
+          defaultModerateThreshold={quartileThreshold}
+          onModerateThresholdChange={(value) => updateView({ moderateThreshold: value }, { replace: true })}
+          onAdd={(definition) => updateView(({ metrics: current }) => ({ metrics: [...current, definition] }))}
+          onRemove={(index) =>
+            updateView(({ metrics: current }) => ({ metrics: current.filter((_, i) => i !== index) }))
+          }
+        />
+        <ScenarioPanel
+          scenarios={scenarios}
+          activeScenario={activeScenario}
+          baseline={geojsonData}
+          difference={view.difference}
+          onSelect={(scenario) => updateView({ scenario, difference: scenario ? view.difference : false })}
+          onDifferenceChange={(difference) => updateView({ difference })}
+          onAdd={addScenario}
+          onDelete={removeScenario}
+        />
+        <ExportMenu
+          features={exportFeatures}
+          metrics={metrics}
+          scopeLabel={exportScopeLabel()}
+          selectedYear={selectedYear}
+          barChartRef={barChartRef}
+          treeMapRef={treeMapRef}
+        />
+        <HelpMenu onStart={startTour} />
       </div>
 
       <div
@@ -139,12 +409,30 @@ export default function Home({ geojsonData }) {
             overflow: 'hidden',
           }}
         >
-          <Map geojsonData={geojsonData} onMapAreaSelect={onMapAreaSelect} selectedMapArea={selectedBasin} />
+          <Map
+            geojsonData={mapData}
+            difference={showDifference}
+            metrics={metrics}
+            view={view}
+            onViewChange={updateView}
+            onMapAreaSelect={onMapAreaSelect}
+            selectedMapArea={selectedBasin}
+            pinnedBasins={pinnedBasins}
+            onMapAreaPin={(basin) => pickBasin(basin, 'map')}
+            onBasinFound={(basin, { zoom }) => pickBasin(basin, 'search', { toggle: false, zoom })}
+            focusedBasin={focusedBasin}
+            matchingBasins={matchingBasins}
+            years={years}
+            selectedYear={selectedYear}
+            regionShapes={regionShapes}
+            onLassoSelect={addLassoRegion}
+          />
         </div>
 
         {/* Bar Chart Section */}
         <div
           className="bar-chart-container" // Add class for Joyride targeting
+          ref={barChartRef}
           style={{
             gridColumn: '2 / 3',
             gridRow: '1 / 2',
@@ -154,12 +442,25 @@ export default function Home({ geojsonData }) {
             minHeight: '260px',
           }}
         >
-          <BarChart data={geojsonData.features} selectedBasin={selectedBasin} />
+          <BarChart
+            data={dashboardData.features}
+            regions={regionFeatures}
+            baseline={baselineData?.features ?? null}
+            scenarioName={activeScenario?.name}
+            selectedBasin={selectedBasin}
+            pinnedBasins={pinnedBasins}
+            years={years}
+            palette={view.palette}
+            selectedYear={selectedYear}
+            colorScale={monthColorScale}
+            thresholds={scarcityThresholds}
+          />
         </div>
 
         {/* TreeMap Section */}
         <div
           className="tree-map-container" // Add class for Joyride targeting
+          ref={treeMapRef}
           style={{
             gridColumn: '2 / 3',
             gridRow: '2 / 3',
@@ -167,31 +468,112 @@ export default function Home({ geojsonData }) {
             padding: '0px',
           }}
         >
-          <TreeMap geojsonData={geojsonData} setSelectedBasin={setSelectedBasin} />
+          <TreeMap
+            geojsonData={filteredData}
+            metrics={metrics}
+            sizeMeasure={view.treemapSize}
+            onSizeMeasureChange={(treemapSize) => updateView({ treemapSize })}
+            colorMeasure={view.treemapColor}
+            onColorMeasureChange={(treemapColor) => updateView({ treemapColor })}
+            setSelectedBasin={setSelectedBasin}
+            selectedYear={selectedYear}
+            pinnedBasins={pinnedBasins}
+            onPinBasin={(basin) => pickBasin(basin, 'treemap')}
+            selectedBasin={selectedBasin}
+            focusedBasin={focusedBasin}
+            palette={view.palette}
+          />
         </div>
       </div>
+
+      {/* Filters and the ranked table of matching basins */}
+      <div
+        style={{
+          display: 'grid',
+          gridTemplateColumns: '1fr 2fr',
+          columnGap: '10px',
+          marginTop: '10px',
+        }}
+      >
+        <div className="filter-container" style={{ border: '1px solid #ccc', borderRadius: '8px' }}>
+          <FilterPanel
+            features={dashboardData.features}
+            filters={view.filters}
+            onChange={(update, options) => updateView(({ filters }) => ({ filters: update(filters) }), options)}
+            property={mapProperty}
+            propertyLabel={propertyLabels[mapProperty] ?? mapProperty}
+            labels={propertyLabels}
+            matchCount={filteredFeatures.length}
+            color={getPalette(view.palette).accent}
+          />
+        </div>
+        <div className="ranked-table-container" style={{ border: '1px solid #ccc', borderRadius: '8px' }}>
+          <RankedTable
+            features={filteredFeatures}
+            property={mapProperty}
+            propertyLabel={propertyLabels[mapProperty] ?? mapProperty}
+            metric={mapMetric}
+            selectedBasin={selectedBasin}
+            pinnedBasins={pinnedBasins}
+            onHover={setSelectedBasin}
+            onPick={(basin) => pickBasin(basin, 'table')}
+          />
+        </div>
+      </div>
+
+      {/* Regions: lasso selections and basins grouped by continent or uploaded polygons */}
+      <div
+        className="regions-container"
+        style={{ border: '1px solid #ccc', borderRadius: '8px', marginTop: '10px' }}
+      >
+        <RegionPanel
+          regions={regions}
+          grouping={view.regionGrouping}
+          regionUpload={regionUpload}
+          selectedYear={selectedYear}
+          pinnedBasins={pinnedBasins}
+          onGroupingChange={(regionGrouping) => updateView({ regionGrouping })}
+          onUpload={(upload) => {
+            setRegionUpload(upload);
+            updateView({ regionGrouping: 'upload' });
+          }}
+          onRemove={removeLassoRegion}
+          onHover={setSelectedBasin}
+          onPick={togglePinnedBasin}
+        />
+      </div>
+
+      {/* Statistics for the previewed (or last pinned) basin and for all basins */}
+      <div
+        className="stats-container"
+        style={{ border: '1px solid #ccc', borderRadius: '8px', marginTop: '10px' }}
+      >
+        <StatsPanel
+          features={dashboardData.features}
+          basin={selectedBasin ?? pinnedBasins[pinnedBasins.length - 1] ?? null}
+          selectedYear={selectedYear}
+          threshold={threshold}
+          onHover={setSelectedBasin}
+          onPick={(basin) => pickBasin(basin, 'stats')}
+        />
+      </div>
+
+      {/* Data table of the filtered basins */}
+      <div
+        className="data-table-container"
+        style={{ border: '1px solid #ccc', borderRadius: '8px', marginTop: '10px' }}
+      >
+        <DataTable
+          features={regionFeatures.length > 0 ? [...regionFeatures, ...filteredFeatures] : filteredFeatures}
+          selectedYear={selectedYear}
+          selectedBasin={selectedBasin}
+          focusedBasin={focusedBasin}
+          pinnedBasins={pinnedBasins}
+          onHover={setSelectedBasin}
+          onPick={(basin) => pickBasin(basin, 'table')}
+          color={getPalette(view.palette).accent}
+        />
+      </div>
     </div>
   );
 }
-
-// Server-side props to fetch GeoJSON data
-export async function getServerSideProps() {
-  try {
-    const filePath = path.join(process.cwd(), 'public', 'updated_mrb_basins.json');
-    const fileContent = fs.readFileSync(filePath, 'utf8');
-    const geojsonData = JSON.parse(fileContent);
-
-    return {
-      props: {
-        geojsonData,
-      },
-    };
-  } catch (error) {
-    console.error('Error loading GeoJSON data:', error);
-    return {
-      props: {
-        geojsonData: null,
-      },
-    };
-  }
-}
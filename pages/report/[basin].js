@@ -0,0 +1,142 @@
+import React, { useMemo } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import BarChart from '../../components/BarChart';
+import BasinSnapshot from '../../components/BasinSnapshot';
+import { BasinStats } from '../../components/StatsPanel';
+import { useI18n } from '../../lib/i18n';
+import { DEFAULT_PALETTE, getPalette } from '../../lib/palettes';
+import { DEFAULT_VIEW } from '../../lib/urlState';
+import { createMonthlyColorScale } from '../../lib/colorScales';
+import { defaultModerateThreshold, defaultThreshold } from '../../lib/metrics';
+import { getAnnualAverage } from '../../lib/months';
+import { buildBasinReport, getReportBasins } from '../../lib/report';
+
+const cellStyle = { padding: '3px 6px', borderBottom: '1px solid #eee', textAlign: 'left' };
+const numberCellStyle = { ...cellStyle, textAlign: 'right' };
+const headingStyle = { margin: '0 0 5px', fontSize: '16px' };
+
+// Printable single-basin report: a map snapshot, the monthly chart, the basin's
+// statistics and its neighbors by scarcity. Every basin's report is generated at build
+// time in every language, so it can be printed to PDF without the dashboard. The print
+// layout is in styles/print.css.
+const BasinReport = ({ basin, features, years, year, neighbors, snapshot }) => {
+  const { t, formatCompact, formatUnit } = useI18n();
+  const palette = getPalette(DEFAULT_PALETTE);
+  const data = useMemo(() => ({ type: 'FeatureCollection', features }), [features]);
+  const colorScale = useMemo(
+    () => createMonthlyColorScale(data, palette, DEFAULT_VIEW.classification, DEFAULT_VIEW.classes),
+    [data, palette]
+  );
+  const threshold = useMemo(() => defaultThreshold(data, year), [data, year]);
+  const moderateThreshold = useMemo(() => defaultModerateThreshold(data, year), [data, year]);
+  const scarcityThresholds = [
+    { label: t('home.moderateScarcity'), value: moderateThreshold, color: '#e69f00' },
+    { label: t('home.severeScarcity'), value: threshold, color: '#d55e00' },
+  ];
+
+  const feature = features.find((f) => f.properties.RIVERBASIN === basin);
+  const { CONTINENT: continent, population } = feature.properties;
+  const average = getAnnualAverage(feature.properties, year);
+  const mm = (value) => (value === null || value === undefined ? '–' : formatUnit(value, 'millimeter'));
+
+  return (
+    <main className="report">
+      <Head>
+        <title>{t('report.title', { basin })}</title>
+      </Head>
+
+      <header className="report-section">
+        <nav className="no-print" style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '10px' }}>
+          <Link href={{ pathname: '/', query: { basins: basin } }}>{t('report.openDashboard')}</Link>
+          <button onClick={() => window.print()}>{t('report.print')}</button>
+        </nav>
+        <h1 style={{ margin: '0 0 5px' }}>{t('report.title', { basin })}</h1>
+        <p style={{ margin: 0 }}>
+          {t('report.summary', {
+            continent,
+            population: population === null || population === undefined ? '–' : formatCompact(population),
+            average: mm(average),
+          })}
+          {year ? ` ${t('report.year', { year })}` : ''}
+        </p>
+      </header>
+
+      <section className="report-section">
+        <h2 style={headingStyle}>{t('report.map')}</h2>
+        <BasinSnapshot snapshot={snapshot} basin={basin} features={features} year={year} colorScale={colorScale} />
+      </section>
+
+      <section className="report-section report-chart">
+        <h2 style={headingStyle}>{t('report.chart')}</h2>
+        <BarChart
+          data={features}
+          selectedBasin={null}
+          pinnedBasins={[basin]}
+          years={years}
+          selectedYear={year}
+          palette={DEFAULT_PALETTE}
+          colorScale={colorScale}
+          thresholds={scarcityThresholds}
+        />
+      </section>
+
+      <section className="report-section">
+        <h2 style={headingStyle}>{t('report.stats')}</h2>
+        <BasinStats feature={feature} features={features} year={year} threshold={threshold} />
+      </section>
+
+      <section className="report-section">
+        <h2 style={headingStyle}>{t('report.neighbors')}</h2>
+        <p style={{ margin: '0 0 5px', fontSize: '12px', color: '#666' }}>{t('report.neighborsNote')}</p>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th scope="col" style={cellStyle}>{t('report.basin')}</th>
+              <th scope="col" style={cellStyle}>{t('report.continent')}</th>
+              <th scope="col" style={numberCellStyle}>{t('report.distance')}</th>
+              <th scope="col" style={numberCellStyle}>{t('report.scarcity')}</th>
+              <th scope="col" style={numberCellStyle}>{t('report.difference', { basin })}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {neighbors.map((neighbor) => (
+              <tr key={neighbor.basin}>
+                <th scope="row" style={{ ...cellStyle, fontWeight: 'normal' }}>
+                  <Link href={`/report/${encodeURIComponent(neighbor.basin)}`}>{neighbor.basin}</Link>
+                </th>
+                <td style={cellStyle}>{neighbor.continent}</td>
+                <td style={numberCellStyle}>
+                  {neighbor.bordering ? t('report.bordering') : formatUnit(neighbor.distance, 'kilometer')}
+                </td>
+                <td style={numberCellStyle}>{mm(neighbor.average)}</td>
+                <td style={numberCellStyle}>
+                  {neighbor.average === null || average === null || average === undefined
+                    ? '–'
+                    : formatUnit(neighbor.average - average, 'millimeter', { signDisplay: 'exceptZero' })}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </main>
+  );
+};
+
+// One report per basin and language, all generated at build time
+export const getStaticPaths = ({ locales = [undefined] }) => {
+  const basins = getReportBasins();
+  return {
+    paths: locales.flatMap((locale) => basins.map((basin) => ({ params: { basin }, locale }))),
+    fallback: false,
+  };
+};
+
+export const getStaticProps = ({ params }) => {
+  const report = buildBasinReport(params.basin);
+  if (!report) return { notFound: true };
+  return { props: report };
+};
+
+export default BasinReport;